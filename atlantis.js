@@ -1,695 +1,5518 @@
 'use strict';
 
 let $$ = (function () {
-    const eventHandlers = new Map();
-    const atlantis = {}
+    const eventHandlers = new WeakMap();
 
     /**
-     * Removes event listeners from HTML Elements
-     * @param {HTMLCollection} elements
-     * @param {Boolean} recursive Removes event listeners from children
+     * Wraps elements into a collection
+     *
+     * @param {String|Node|NodeList|Array} target CSS selector, element or list
+     * @param {HTMLElement|Document} context Root of the selector search
+     * @returns {Collection} Collection
      */
-    const offEvents = function (HTMLCollection, recursive = true) {
-        Array.from(HTMLCollection).filter(node => node.nodeType != 3)
-            .forEach(function (node) {
-                atlantis.off(node);
-                if (recursive && node.children) offEvents(node.children);
-            });
+    const atlantis = function (target, context) {
+        return new Collection(target, context);
     }
 
-    const mutationObserver = new MutationObserver((mutations) => {
-        if ('removedNodes' in mutations[0]) {
-            offEvents(mutations[0].removedNodes);
-            Array.from(mutations[0].removedNodes).forEach(element => {
-                element = undefined;
-            });
-        }
-    });
+    /**
+     * Attributes assigned as HTML Element properties
+     */
+    const elementProperties = [
+        'value', 'checked', 'selected', 'indeterminate', 'textContent', 'innerHTML'
+    ];
+
+    /**
+     * Appends children to HTML Element
+     *
+     * Strings and numbers become text nodes, arrays are flattened,
+     * objects with a tag key are created with atlantis.create.
+     *
+     * @param {Node} parent
+     * @param {Array} children
+     */
+    const appendChildren = function (parent, children) {
+        children.forEach(child => {
+            if (child === undefined || child === null || child === false) return;
 
-    window.onload = function () {
-        mutationObserver.observe(document.body, {
-            childList: true,
-            subtree: true
+            if (Array.isArray(child)) return appendChildren(parent, child);
+            if (child instanceof Node) return parent.append(child);
+
+            if (typeof child == 'object') {
+                const { tag, children = [], ...attributes } = child;
+                return parent.append(atlantis.create(tag, attributes, children));
+            }
+
+            parent.append(document.createTextNode(String(child)));
         });
     }
 
     /**
     * Creates HTML Element
     *
+    * Attributes may contain class (string, array or { name: Boolean }),
+    * style, dataset, aria, on* handlers, boolean attributes,
+    * properties (value, checked, ...) and children.
+    *
     * @param {String} tagName HTML Element tag name
     * @param {Object} attributes HTML Element attributes
+    * @param {...any} children Nodes, strings, arrays or { tag, ...attributes, children }
     * @returns {HTMLElement} HTML Element
     */
-    atlantis.create = function (tagName, attributes = {}) {
+    atlantis.create = function (tagName, attributes = {}, ...children) {
         const element = document.createElement(tagName);
+        const properties = {};
 
         if (attributes instanceof Object) {
             Object.entries(attributes).forEach(([key, value]) => {
-                if (key == 'class') {
+                if (key == 'children') {
+                    return children.unshift(value);
+                } else if (key == 'class') {
                     if (!value) return;
                     if (typeof value == 'string') value = value.split(' ');
-                    if (!(value instanceof Array)) return;
-                    return value.forEach(name => element.classList.add(name));
+
+                    if (!(value instanceof Array)) {
+                        value = Object.keys(value).filter(name => value[name]);
+                    }
+
+                    return value.filter(Boolean)
+                        .forEach(name => element.classList.add(name));
                 } else if (key == 'style') {
                     return atlantis.css(element, value);
+                } else if (key == 'dataset') {
+                    return Object.entries(value || {}).forEach(([name, data]) => {
+                        if (name.includes('-')) name = atlantis.dashToCamel(name);
+                        element.dataset[name] = data;
+                    });
+                } else if (key == 'aria') {
+                    return Object.entries(value || {}).forEach(([name, data]) => {
+                        element.setAttribute(`aria-${name.toLowerCase()}`, data);
+                    });
+                } else if (/^on./i.test(key) && typeof value == 'function') {
+                    return atlantis.on(element, key.slice(2).toLowerCase(), value);
+                } else if (elementProperties.includes(key)) {
+                    return properties[key] = value;
+                } else if (value === false || value === null || value === undefined) {
+                    return;
+                } else if (value === true) {
+                    value = '';
                 }
 
                 element.setAttribute(key, value);
             });
         }
 
+        appendChildren(element, children);
+
+        Object.assign(element, properties);
+
         return element;
     }
 
     /**
-     * Adds event listener to HTML Element
-     *
-     * @param {HTMLElement} element
-     * @param {String} event
-     * @param {Function} handler
-     * @param {Boolean} capture
+     * Escapes HTML special characters
+     * @param {*} value
+     * @returns {String} Escaped string
      */
-    atlantis.on = function (element, event, handler, capture = false) {
-        if (!element) return;
-        const set = eventHandlers.get(event) || new Set();
-        eventHandlers.set(event, set.add({ element, handler, capture }));
-        element.addEventListener(event, handler, capture);
+    const escapeHtml = function (value) {
+        return String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
     }
 
     /**
-     * Removes event listener from HTML Element
-     *
-     * @param {HTMLElement} element
-     * @param {String} event
-     * @param {Function} handler
-     * @returns
+     * Scans static markup of a template, continuing from previous state
+     * @param {String} markup
+     * @param {Object} state { mode: text | tag | comment, quote, tag }
+     * @returns {Object} State at the end of markup, tag being the markup
+     * of the open tag so far
      */
-    atlantis.off = function (element, event, handler) {
-        if (!element) return;
-        if (!eventHandlers.has(event)) return false;
+    const scanMarkup = function (markup, state = { mode: 'text', quote: '', tag: '' }) {
+        for (let i = 0; i < markup.length; i++) {
+            const char = markup[i];
 
-        loop: for (const [name, set] of eventHandlers) {
-            if (event && name !== event) continue;
+            if (state.mode == 'comment') {
+                if (markup.startsWith('-->', i)) {
+                    state.mode = 'text';
+                    i += 2;
+                }
+            } else if (state.mode == 'tag') {
+                state.tag += char;
 
-            for (const obj of set) {
-                if (handler && obj.handler !== handler) continue;
-                element.removeEventListener(name, obj.handler, obj.capture);
-                set.delete(obj);
-                if (handler) break loop;
+                if (state.quote) {
+                    if (char == state.quote) state.quote = '';
+                } else if (char == '"' || char == "'") {
+                    state.quote = char;
+                } else if (char == '>') {
+                    state.mode = 'text';
+                    state.tag = '';
+                }
+            } else if (markup.startsWith('<!--', i)) {
+                state.mode = 'comment';
+                i += 3;
+            } else if (char == '<' && /[a-z/!?]/i.test(markup[i + 1] || '')) {
+                state.mode = 'tag';
+                state.tag = char;
             }
-
-            if (event) break;
         }
+
+        return state;
     }
 
     /**
-     * Asynchronous request
+     * Builds DOM tree from tagged template
      *
-     * @param {Object} options
-     * @param {String} options.method
-     * @param {String} options.url
-     * @param {Object} options.body
-     * @param {Function} options.success
-     * @param {Function} options.failure
-     * @param {Object} options.headers
-     */
-    atlantis.fetch = function ({
-        method = 'GET',
-        url = '/',
-        body = {},
-        success = function () { },
-        failure = function () { },
-        headers = {}
-    } = {}) {
-        method = method.toUpperCase();
+     * Interpolated strings are escaped, nodes and arrays are inserted as is,
+     * functions in on* attributes are registered through atlantis.on,
+     * anything else in on* attributes throws TypeError.
+     *
+     * @example atlantis.html`<li class="${cls}" onclick=${fn}>${text}</li>`
+     * @param {Array} strings
+     * @param {...any} values
+     * @returns {HTMLElement|DocumentFragment} Single root element or fragment
+     */
+    atlantis.html = function (strings, ...values) {
+        const slots = [];
+        let markup = '';
 
-        const init = { method, headers };
+        const slot = function (value) {
+            slots.push(value);
+            return `atlantis-slot-${slots.length - 1}`;
+        }
 
-        if (method == 'POST') init.body = JSON.stringify(body);
+        let state;
 
-        fetch(url, init)
-            .then(response => success(response))
-            .catch(error => failure(error));
-    }
+        strings.forEach((string, index) => {
+            markup += string;
+            state = scanMarkup(string, state);
 
-    /**
-     * Converts camelCase string into dash-case string
-     *
-     * @param {String} someString
-     * @returns {String} some-string
-     */
-    atlantis.camelToDash = function (string) {
-        return string.split(/(?=[A-Z])/)
-            .map(value => value.toLowerCase())
-            .join('-');
-    }
+            if (index >= values.length) return;
 
-    /**
-     * Converts dash-case string into camelCase string
-     *
-     * @param {String} some-string
-     * @returns {String} someString
-     */
-    atlantis.dashToCamel = function (string) {
-        return string.split('-').map((value, index) => {
-            value = value.toLowerCase();
-            if (!index) return value;
-            return `${value.charAt(0).toUpperCase()}${value.slice(1)}`;
-        }).join('');
-    }
+            let value = values[index];
 
-    /**
-     * Gets & sets document cookies
-     * @param {...any} args
-     * @returns {String|void} Cookie value
-     */
-    atlantis.cookie = function (...args) {
-        const options = {
-            path: '/',
-            secure: true,
-            samesite: 'strict',
-            'max-age': 60 * 60 * 24 * 14
-        };
+            if (value === undefined || value === null || value === false) value = '';
 
-        if (args.length == 3) options = { ...options, ...args[2] };
+            if (state.mode == 'tag') {
+                const attribute = state.tag.match(/([^\s"'>/=]+)\s*=\s*(["']?)[^"']*$/);
 
-        if (args.length == 1) {
-            args[0] = args[0].replace(/([\.$?*|{}\(\)\[\]\\\/\+^])/g, '\\$1');
-            const regex = new RegExp(`(?:^|; )${args[0]}=([^;]*)`);
-            const matches = document.cookie.match(regex);
-            return matches ? decodeURIComponent(matches[1]) : undefined;
-        } else if (args.length == 2) {
-            let cookie = `${encodeURIComponent(args[0])}=${encodeURIComponent(args[1])}`;
+                if (attribute && /^on/i.test(attribute[1])) {
+                    if (typeof value == 'function') {
+                        value = slot(value);
+                    } else if (value !== '') {
+                        throw new TypeError(`${attribute[1]} accepts only functions`);
+                    }
+                } else {
+                    value = escapeHtml(value);
+                }
+
+                if (!state.quote) value = `"${value}"`;
 
-            if (options.expires || false instanceof Date) {
-                options.expires = options.expires.toUTCString();
+                markup += value;
+                state.tag += value;
+            } else if (state.mode == 'comment') {
+                markup += escapeHtml(value).replace(/-/g, '&#45;');
+            } else if (value instanceof Node || Array.isArray(value)) {
+                markup += `<!--${slot(value)}-->`;
+            } else {
+                markup += escapeHtml(value);
             }
+        });
 
-            Object.entries(options).forEach(([key, value]) => {
-                if (value === false) value = '';
-                cookie += `;${key}=${value}`;
-            });
+        const template = document.createElement('template');
 
-            document.cookie = cookie;
-        }
-    }
+        template.innerHTML = markup;
 
-    /**
-     * Creates datepicker attached to HTML element
-     * @param {HTMLElement} element HTML Element
-     * @param {Object} options
-     * @returns {Object} Datepicker object
-     */
-    atlantis.datepicker = function (element, {
-        locale = 'ru',
-        date = new Date(),
-        current = date,
-        callback = function () { }
-    } = {}) {
-        if ('_datepicker' in element) return element._datepicker;
+        const fragment = template.content;
+        const walker = document.createTreeWalker(fragment, NodeFilter.SHOW_COMMENT);
+        const comments = [];
 
-        const today = new Date();
-        const container = atlantis.create('div', {
-            class: 'atlantis-datepicker-container'
-        });
-        const yearsWrapper = atlantis.create('div', {
-            class: 'atlantis-datepicker-years-wrapper'
-        });
-        const monthWrapper = atlantis.create('div');
+        while (walker.nextNode()) comments.push(walker.currentNode);
 
-        let years;
-        let months;
-        let monthTable;
-        const labels = { days: [], months: [] };
+        comments.forEach(comment => {
+            const match = comment.data.match(/^atlantis-slot-(\d+)$/);
 
-        for (let d = 1; d <= 7; d++) {
-            labels.days.push(
-                (new Date(2020, 10, d))
-                    .toLocaleString(locale, { weekday: 'short' })
-            );
-        }
+            if (!match) return;
 
-        for (let m = 0; m <= 11; m++) {
-            labels.months.push(
-                (new Date(2021, m, 1))
-                    .toLocaleString(locale, { month: 'long' })
-            );
-        }
+            const nodes = document.createDocumentFragment();
 
-        function destroyYears() {
-            if (years) {
-                years.remove();
-                years = undefined;
-            }
-        }
+            appendChildren(nodes, [slots[match[1]]]);
+            comment.replaceWith(nodes);
+        });
 
-        function destroyMonths() {
-            if (months) {
-                months.remove();
-                months = undefined;
-            }
-        }
+        fragment.querySelectorAll('*').forEach(element => {
+            Array.from(element.attributes).forEach(({ name, value }) => {
+                if (!/^on/.test(name) || !value.includes('atlantis-slot-')) return;
 
-        function getYears() {
-            destroyYears();
-            years = atlantis.create('select');
+                const match = value.match(/^atlantis-slot-(\d+)$/);
 
-            for (let year = 2011; year <= today.getFullYear(); year++) {
-                const newDate = new Date(year, date.getMonth(), date.getDate());
-                const option = atlantis.create('option');
+                element.removeAttribute(name);
 
-                if (year == current.getFullYear()) {
-                    option.selected = 'selected';
-                    option.classList.add('current');
-                }
+                if (match) atlantis.on(element, name.slice(2), slots[match[1]]);
+            });
+        });
 
-                option.value = newDate.toLocaleDateString('en-US');
-                option.innerHTML = newDate.toLocaleDateString(locale, {
-                    year: 'numeric'
-                });
-                years.append(option);
-            }
+        const nodes = Array.from(fragment.childNodes)
+            .filter(node => node.nodeType != 3 || node.data.trim());
 
-            atlantis.on(years, 'change', refreshMonthTable);
-            return years;
+        if (nodes.length == 1 && nodes[0].nodeType == 1) {
+            return document.adoptNode(nodes[0]);
         }
 
+        const result = document.createDocumentFragment();
 
-        function getMonths() {
-            destroyMonths();
+        result.append(...fragment.childNodes);
 
-            months = atlantis.create('select');
+        return result;
+    }
 
-            for (let month = 0; month <= 11; month++) {
-                const newDate = new Date(date.getFullYear(), month, date.getDate());
-                const option = atlantis.create('option');
+    /**
+     * Parses space-separated events with namespaces
+     * @param {String} events click.ns keydown.ns.other
+     * @returns {Array} [{ type, namespaces }]
+     */
+    const parseEvents = function (events = '') {
+        return events.split(/\s+/).filter(Boolean).map(event => {
+            const [type, ...namespaces] = event.split('.');
+            return { type, namespaces };
+        });
+    }
 
-                if (month == current.getMonth()) {
-                    option.selected = 'selected';
-                    option.classList.add('current');
-                }
+    /**
+     * Removes registered listener from HTML Element
+     * @param {HTMLElement} element
+     * @param {Object} record
+     */
+    const removeListener = function (element, record) {
+        const records = eventHandlers.get(element);
 
-                option.value = newDate.toLocaleDateString('en-US');
-                option.innerHTML = labels.months[month];
-                months.append(option);
-            }
+        element.removeEventListener(record.type, record.listener, record.capture);
 
-            atlantis.on(months, 'change', refreshMonthTable);
+        if (!records) return;
 
-            return months;
-        }
+        records.delete(record);
 
-        function clickHandler(event) {
-            event.stopPropagation();
-        }
+        if (!records.size) eventHandlers.delete(element);
+    }
 
-        function refreshMonthTable(event) {
-            date = new Date(Date.parse(this.value));
-            destroyTable();
-            monthWrapper.append(getTable());
-        }
+    /**
+     * Adds event listener to HTML Element
+     *
+     * Events are space-separated and may carry namespaces (click.datepicker).
+     * With selector the handler is delegated: it runs for descendants
+     * matching selector, with this set to the matched element.
+     *
+     * @param {HTMLElement} element
+     * @param {String} events
+     * @param {String} selector Optional delegation selector
+     * @param {Function} handler
+     * @param {Boolean|Object} options capture or { capture, once, passive }
+     */
+    atlantis.on = function (element, events, selector, handler, options = false) {
+        if (!element) return;
 
-        function getDaysInMonth(month, year) {
-            return new Date(year, month + 1, 0).getDate();
+        if (typeof selector == 'function') {
+            options = handler === undefined ? false : handler;
+            handler = selector;
+            selector = undefined;
         }
 
-        function getTable() {
-            const year = date.getFullYear();
-            const month = date.getMonth();
-            const days_in_month = getDaysInMonth(month, year);
-            const first_day_date = new Date(year, month, 1);
-            const first_day_weekday = first_day_date.getDay();
-            const prev_month = month == 0 ? 11 : month - 1;
-            const prev_year = prev_month == 11 ? year - 1 : year;
-            const prev_days = getDaysInMonth(prev_month, prev_year);
-
-            monthTable = document.createElement('table');
+        if (typeof options == 'boolean') options = { capture: options };
 
-            const thead = document.createElement('thead');
+        const { capture = false, once = false, passive } = options;
 
-            let tr = document.createElement('tr', {
-                class: 'week-days'
-            });
+        let records = eventHandlers.get(element);
 
-            for (let d = 1; d <= 7; d++) {
-                const th = document.createElement('th');
-                th.innerHTML = labels.days[d < 7 ? d : 0];
-                tr.append(th);
-            }
+        if (!records) {
+            records = new Set();
+            eventHandlers.set(element, records);
+        }
 
-            thead.append(tr);
-            monthTable.append(thead);
+        parseEvents(events).forEach(({ type, namespaces }) => {
+            const record = { type, namespaces, selector, handler, capture };
 
-            let week = 0;
-            let next_month_day = 1;
-            let day = 1;
+            record.listener = function (event) {
+                let target = element;
 
-            const tbody = document.createElement('tbody');
+                if (selector) {
+                    target = event.target && event.target.closest
+                        ? event.target.closest(selector)
+                        : null;
 
-            for (let i = 1; i < 42; i++) {
-                if (week == 0) {
-                    tr = document.createElement('tr');
-                    tr.classList.add('week');
+                    if (!target || target === element) return;
+                    if (element.contains && !element.contains(target)) return;
                 }
 
-                const td = document.createElement('td');
+                if (once) removeListener(element, record);
 
-                if (i < new Date(year, month, 1).getDay()) {
-                    td.innerHTML = prev_days - first_day_weekday + i + 1;
-                    tr.append(td);
-                } else if (day > days_in_month) {
-                    td.innerHTML = next_month_day;
-                    tr.append(td);
-                    next_month_day++;
-                } else {
-                    const dayDate = new Date(year, month, day);
+                return handler.call(target, event, target);
+            }
 
-                    td.innerHTML = day;
+            records.add(record);
+            element.addEventListener(type, record.listener, { capture, passive });
+        });
+    }
 
-                    if (day == today.getDate() &&
-                        today.getMonth() == month &&
-                        today.getFullYear() == year
-                    ) {
-                        td.classList.add('today');
-                    }
+    /**
+     * Removes event listeners from HTML Element
+     *
+     * Without events removes every listener added through atlantis.on.
+     * Events may be namespaces only (.datepicker).
+     *
+     * @param {HTMLElement} element
+     * @param {String} events
+     * @param {String} selector Optional delegation selector
+     * @param {Function} handler
+     */
+    atlantis.off = function (element, events, selector, handler) {
+        if (!element) return;
 
-                    if (day == date.getDate() &&
-                        current.getMonth() == month &&
-                        current.getFullYear() == year
-                    ) {
-                        td.classList.add('current');
-                    }
+        const records = eventHandlers.get(element);
 
-                    td.setAttribute('data-time', dayDate.getTime());
-                    atlantis.on(td, 'click', callback);
-                    tr.append(td);
-                    day++;
-                }
+        if (!records) return;
 
-                if (week == 6) {
-                    tbody.append(tr);
-                    week = 0;
-                } else {
-                    week++;
-                }
-            }
+        if (typeof selector == 'function') {
+            handler = selector;
+            selector = undefined;
+        }
 
-            monthTable.append(tbody);
+        const filters = events ? parseEvents(events) : [{ type: '', namespaces: [] }];
 
-            return monthTable;
-        }
+        for (const record of records) {
+            const matches = filters.some(({ type, namespaces }) => {
+                if (type && record.type != type) return false;
+                return namespaces.every(name => record.namespaces.includes(name));
+            });
 
-        function show(event) {
-            event.stopPropagation();
+            if (!matches) continue;
+            if (selector && record.selector !== selector) continue;
+            if (handler && record.handler !== handler) continue;
 
-            if (monthTable) return false;
+            removeListener(element, record);
+        }
+    }
 
-            atlantis.on(document, 'click', hide);
+    /**
+     * Widget factories by name
+     */
+    const widgets = new Map();
 
-            destroyYears();
-            destroyMonths();
+    /**
+     * Widget instances: HTML Element → Map { name → instance }
+     */
+    const instances = new WeakMap();
 
-            yearsWrapper.append(getMonths());
-            yearsWrapper.append(getYears());
+    const removeHooks = new WeakMap();
 
-            destroyTable();
+    /**
+     * Nodes removed by atlantis.hide, kept alive until shown or added again
+     */
+    const detachedNodes = new WeakSet();
+
+    /**
+     * Destroys widgets, runs removal hooks and removes event listeners
+     * of HTML Element and its descendants
+     * @param {Node} node
+     */
+    const teardown = function (node) {
+        if (node.nodeType != 1) return;
 
-            monthWrapper.append(getTable());
-            document.body.append(container);
+        [node, ...node.querySelectorAll('*')].forEach(element => {
+            const elementInstances = instances.get(element);
 
-            atlantis.on(container, 'click', clickHandler);
+            if (elementInstances) {
+                Array.from(elementInstances.values()).forEach(instance => instance.destroy());
+            }
 
-            const offset = element.getBoundingClientRect();
-            container.style.top = `${offset.top + offset.height}px`;
-            container.style.left = `${offset.left}px`;
-        }
+            const hooks = removeHooks.get(element);
 
-        function destroyTable() {
-            if (monthTable) {
-                monthTable.remove();
-                monthTable = undefined;
+            if (hooks) {
+                removeHooks.delete(element);
+                hooks.forEach(handler => handler(element));
             }
-        }
 
-        function hide() {
-            destroyTable();
-            container.remove();
-            atlantis.off(document, 'click', hide);
-        }
-
-        function destroy() {
-            hide();
-            container = undefined;
             atlantis.off(element);
-            delete element._datepicker;
-        }
+        });
+    }
 
-        container.append(yearsWrapper);
-        container.append(monthWrapper);
+    /**
+     * Tears down removed nodes, skipping nodes that were reinserted,
+     * and initializes widgets declared on added nodes
+     */
+    const mutationObserver = new MutationObserver(mutations => {
+        const removed = new Set();
+        const added = new Set();
 
-        atlantis.on(element, 'click', show);
+        mutations.forEach(mutation => {
+            mutation.removedNodes.forEach(node => removed.add(node));
+            mutation.addedNodes.forEach(node => added.add(node));
+        });
 
-        element._datepicker = {
-            show: show,
-            hide: hide,
-            destroy: destroy
-        };
+        removed.forEach(node => {
+            if (!node.isConnected && !detachedNodes.has(node)) teardown(node);
+        });
 
-        return element._datepicker;
-    }
+        added.forEach(node => {
+            if (node.nodeType != 1 || !node.isConnected) return;
+
+            detachedNodes.delete(node);
+            atlantis.init(node);
+        });
+    });
+
+    mutationObserver.observe(document, { childList: true, subtree: true });
 
     /**
-     * Allow HTML element to be moved using the mouse
-     * @param {HTMLElement} element HTML Element
-     * @param {HTMLElement} options.parent
-     * @param {String} options.axis
-     * @param {Function} options.drag
-     * @param {Function} options.start
-     * @param {Function} options.stop
-     * @returns {Object} Draggable object
+     * Runs handler once HTML Element is removed from the document
+     *
+     * @param {HTMLElement} element
+     * @param {Function} handler (element)
+     * @returns {Function} Cancels the hook
      */
-    atlantis.draggable = function (element, {
-        parent = element.parentNode,
-        axis = '',
-        drag = function () { },
-        start = function () { },
-        stop = function () { }
-    } = {}) {
-        if ('_draggable' in element) return element._draggable;
-
-        let isMouseDown = false;
-        const diff = { x: 0, y: 0 };
+    atlantis.onRemove = function (element, handler) {
+        let hooks = removeHooks.get(element);
 
-        function mouseDown(event) {
-            isMouseDown = true;
-            diff.x = event.clientX - element.offsetLeft;
-            diff.y = event.clientY - element.offsetTop;
-            start();
+        if (!hooks) {
+            hooks = new Set();
+            removeHooks.set(element, hooks);
         }
 
-        function mouseUp() {
-            isMouseDown = false;
-            stop();
+        hooks.add(handler);
+
+        return function () {
+            hooks.delete(handler);
         }
+    }
 
-        function mouseMove(event) {
-            if (!isMouseDown) return false;
+    /**
+     * Registers widget
+     *
+     * The returned function creates the widget once per element and stores
+     * the instance until its destroy() is called or the element is removed.
+     *
+     * @param {String} name Name used by data-atlantis and atlantis.instance
+     * @param {Function} factory (element, options) => { destroy, ... }
+     * @returns {Function} (element, options) => instance
+     */
+    atlantis.widget = function (name, factory) {
+        const create = function (element, ...args) {
+            const existing = atlantis.instance(element, name);
 
-            const position = {
-                top: event.clientY - diff.y,
-                left: event.clientX - diff.x
-            };
+            if (existing) return existing;
 
-            const containment = {
-                right: parent.clientWidth - element.clientWidth,
-                bottom: parent.clientHeight - element.clientHeight
-            };
+            const instance = factory(element, ...args);
 
-            if (position.top < 0) {
-                position.top = 0;
-            } else if (position.top > containment.bottom) {
-                position.top = containment.bottom;
-            }
+            if (!instance) return instance;
 
-            if (position.left < 0) {
-                position.left = 0;
-            } else if (position.left > containment.right) {
-                position.left = containment.right;
-            }
+            let elementInstances = instances.get(element);
 
-            switch (axis) {
-                case 'x':
-                    element.style.left = `${position.left}px`;
-                    break;
-                case 'y':
-                    element.style.top = `${position.top}px`;
-                    break;
-                default:
-                    element.style.top = `${position.top}px`;
-                    element.style.left = `${position.left}px`;
-                    break;
+            if (!elementInstances) {
+                elementInstances = new Map();
+                instances.set(element, elementInstances);
             }
 
-            drag();
-        }
+            const destroy = instance.destroy;
 
-        function destroy() {
-            atlantis.off(document, 'mousemove', mouseMove);
-            atlantis.off(element, 'mouseup', mouseUp);
-            atlantis.off(element, 'mousedown', mouseDown);
-            delete element._draggable;
-            return element;
-        }
+            instance.destroy = function (...args) {
+                if (elementInstances.get(name) === instance) elementInstances.delete(name);
+                if (destroy) return destroy.apply(this, args);
+            }
 
-        function create() {
-            atlantis.on(document, 'mousemove', mouseMove);
-            atlantis.on(element, 'mouseup', mouseUp);
-            atlantis.on(element, 'mousedown', mouseDown);
-        }
+            elementInstances.set(name, instance);
 
-        create();
+            return instance;
+        }
 
-        element._draggable = { destroy };
+        widgets.set(name, create);
 
-        return element._draggable;
+        return create;
     }
 
     /**
-     * Checks if element is visible
+     * Gets widget instance of HTML Element
      *
      * @param {HTMLElement} element
-     * @returns {Boolean} true | false
+     * @param {String} name Widget name
+     * @returns {Object|undefined} Instance
      */
-    atlantis.isVisible = function (element) {
-        return element.offsetWidth > 0 || element.offsetHeight > 0;
+    atlantis.instance = function (element, name) {
+        const elementInstances = instances.get(element);
+        return elementInstances ? elementInstances.get(name) : undefined;
     }
 
     /**
-     * Get the ancestor of element filtered by a selector
-     * @param {HTMLElement} element HTML element
-     * @param {String} selector Parent HTML Element CSS selector
-     * @returns {HTMLElement|undefined} HTML element | undefined
+     * Converts data attribute value: booleans, null, numbers and JSON,
+     * empty attribute is true
+     * @param {String} value
+     * @returns {*} Value
      */
-    atlantis.parent = function (element, selector) {
-        if (!selector) return;
+    const parseDataValue = function (value) {
+        if (value === '' || value === 'true') return true;
+        if (value === 'false') return false;
+        if (value === 'null') return null;
+        if (!isNaN(value) && value.trim() !== '') return Number(value);
+
+        if (/^\s*[[{]/.test(value)) {
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                return value;
+            }
+        }
 
-        while (true) {
-            element = element.parentNode;
+        return value;
+    }
+
+    /**
+     * Initializes widgets declared with data-atlantis="name [name...]"
+     *
+     * Other data attributes become options: data-min-date="2024-01-01"
+     * is { minDate: '2024-01-01' }.
+     *
+     * @param {HTMLElement|Document} root
+     */
+    atlantis.init = function (root = document) {
+        const elements = Array.from(root.querySelectorAll('[data-atlantis]'));
 
-            if (!element) return;
-            if (element === document.body) return;
+        if (root.nodeType == 1 && root.hasAttribute('data-atlantis')) elements.unshift(root);
 
-            if (element.parentNode.querySelector(selector)) {
-                return element;
-            }
+        elements.forEach(element => {
+            const options = {};
+
+            Array.from(element.attributes).forEach(({ name, value }) => {
+                if (!name.startsWith('data-') || name == 'data-atlantis') return;
+                options[atlantis.dashToCamel(name.slice(5))] = parseDataValue(value);
+            });
+
+            element.getAttribute('data-atlantis').split(/[\s,]+/).forEach(name => {
+                if (widgets.has(name)) widgets.get(name)(element, { ...options });
+            });
+        });
+    }
+
+    /**
+     * Error rejected by atlantis.fetch
+     *
+     * @param {String} message
+     * @param {Object} details
+     * @param {String} details.type http | timeout | abort | network | parse
+     * @param {Response} details.response Response, if one was received
+     * @param {*} details.data Parsed response body
+     * @param {Error} details.cause Original error
+     */
+    class FetchError extends Error {
+        constructor(message, { type = 'network', response, data, cause } = {}) {
+            super(message);
+            this.name = 'FetchError';
+            this.type = type;
+            this.response = response;
+            this.status = response ? response.status : 0;
+            this.data = data;
+            this.cause = cause;
         }
     }
 
     /**
-     * Gets element height
-     * @param {HTMLElement} element
-     * @returns {Number} Height
+     * Statuses retried by atlantis.fetch by default
      */
-    atlantis.height = function (element) {
-        return parseFloat(getComputedStyle(element).height.replace("px", ""));
+    const retryStatuses = [408, 425, 429, 500, 502, 503, 504];
+
+    /**
+     * Appends query parameters to URL
+     * @param {String} url
+     * @param {Object|URLSearchParams} query
+     * @returns {String} URL
+     */
+    const buildUrl = function (url, query) {
+        let params = query;
+
+        if (!(query instanceof URLSearchParams)) {
+            params = new URLSearchParams();
+
+            Object.entries(query || {}).forEach(([key, value]) => {
+                if (value === undefined || value === null) return;
+                if (!Array.isArray(value)) value = [value];
+
+                value.forEach(item => {
+                    if (item instanceof Date) item = item.toISOString();
+                    params.append(key, item);
+                });
+            });
+        }
+
+        const search = params.toString();
+
+        if (!search) return url;
+
+        const [path, hash] = url.split('#');
+        const separator = path.includes('?') ? '&' : '?';
+
+        return `${path}${separator}${search}${hash === undefined ? '' : `#${hash}`}`;
     }
 
     /**
-     * Gets element width
-     * @param {HTMLElement} element
-     * @returns {Number} Width
+     * Serializes request body, sets Content-Type for JSON
+     * @param {*} body
+     * @param {Headers} headers
+     * @returns {*} Body accepted by fetch
      */
-    atlantis.width = function (element) {
-        return parseFloat(getComputedStyle(element).width.replace("px", ""));
+    const serializeBody = function (body, headers) {
+        if (body === undefined || body === null) return;
+
+        if (typeof body == 'string'
+            || body instanceof FormData
+            || body instanceof URLSearchParams
+            || body instanceof Blob
+            || body instanceof ArrayBuffer
+            || ArrayBuffer.isView(body)
+        ) {
+            return body;
+        }
+
+        if (!headers.has('Content-Type')) {
+            headers.set('Content-Type', 'application/json');
+        }
+
+        return JSON.stringify(body);
     }
 
     /**
-     * Sets CSS properties to HTML element
-     * @param {HTMLElement} element HTML element
-     * @param {Object} properties CSS properties
+     * Reads response body
+     * @param {Response} response
+     * @param {String} type auto | json | text | blob | arrayBuffer | formData
+     * @returns {Promise} Parsed body
      */
-    atlantis.css = function (element, properties = {}) {
-        if (properties instanceof Object) {
-            Object.entries(properties).forEach(([key, value]) => {
-                element.style[atlantis.dashToCamel(key)] = value;
-            })
+    const parseResponse = function (response, type = 'auto') {
+        if (type == 'auto') {
+            const contentType = response.headers.get('Content-Type') || '';
+
+            if ([204, 205, 304].includes(response.status)) {
+                return Promise.resolve(null);
+            } else if (/[/+]json\b/i.test(contentType)) {
+                type = 'json';
+            } else if (/multipart\/form-data/i.test(contentType)) {
+                type = 'formData';
+            } else if (!contentType || /^text\/|[/+]xml\b/i.test(contentType)) {
+                type = 'text';
+            } else {
+                type = 'blob';
+            }
+        }
+
+        if (type == 'json') {
+            return response.text().then(text => text ? JSON.parse(text) : null);
         }
+
+        return response[type]();
     }
 
     /**
-     * Removes highlights from HTML element
-     * @param {HTMLElement} element
+     * Resolves after delay, rejects when signal is aborted
+     * @param {Number} ms
+     * @param {AbortSignal} signal
+     * @returns {Promise}
      */
-    atlantis.unhighlight = function (element) {
-        element.innerHTML = element.innerHTML
-            .replace(/(<span class="highlight">|<\/span>)/igm, "");
+    const wait = function (ms, signal) {
+        return new Promise((resolve, reject) => {
+            const abort = () => {
+                clearTimeout(timer);
+                reject(new FetchError('Request aborted', { type: 'abort' }));
+            }
+
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', abort);
+                resolve();
+            }, ms);
+
+            if (!signal) return;
+            if (signal.aborted) return abort();
+
+            signal.addEventListener('abort', abort, { once: true });
+        });
     }
 
     /**
-     * Highlights string
-     * @param {HTMLElement} element
-     * @param {String} value
-     * @param {Function} callback
-     * @param {String} type
-     * @param {String} classname
-     * @returns {Number} Number of values found
+     * Sends one request, reads its body and checks its status
+     * @param {String} url
+     * @param {Object} init fetch options
+     * @param {Object} options
+     * @param {Number} options.timeout
+     * @param {AbortSignal} options.signal
+     * @param {String} options.responseType
+     * @returns {Promise} { response, data }
      */
-    atlantis.highlight = function (
-        element,
-        value = '',
-        callback = function () { },
-        type = 'span',
-        classname = 'highlight'
-    ) {
-        let count = 0;
+    const send = function (url, init, { timeout, signal, responseType }) {
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        let timedOut = false;
+        let timer;
+
+        if (signal) {
+            if (signal.aborted) abort();
+            else signal.addEventListener('abort', abort, { once: true });
+        }
 
-        value = value.replace(/\\/, '');
+        if (timeout > 0) {
+            timer = setTimeout(() => {
+                timedOut = true;
+                abort();
+            }, timeout);
+        }
 
-        if (!value) return count;
+        const fail = function (error) {
+            if (error instanceof FetchError) throw error;
 
-        element.innerHTML = element.innerHTML.replace(
-            new RegExp(`(${value})`, "gim"),
-            function (match, p1) {
-                callback(element);
-                const wrapper = atlantis.create(type, { class: classname });
-                wrapper.innerHTML = p1;
-                count++;
-                return wrapper.outerHTML;
+            if (timedOut) {
+                throw new FetchError(`Request timed out after ${timeout}ms`, {
+                    type: 'timeout',
+                    cause: error
+                });
+            } else if (controller.signal.aborted) {
+                throw new FetchError('Request aborted', {
+                    type: 'abort',
+                    cause: error
+                });
             }
-        );
 
-        return count;
+            throw new FetchError(error.message, { type: 'network', cause: error });
+        }
+
+        return fetch(url, { ...init, signal: controller.signal })
+            .then(response => {
+                return parseResponse(response.clone(), responseType)
+                    .catch(error => {
+                        if (controller.signal.aborted) throw error;
+                        if (!response.ok) return undefined;
+
+                        throw new FetchError(error.message, {
+                            type: 'parse',
+                            response,
+                            cause: error
+                        });
+                    })
+                    .then(data => {
+                        if (response.ok) return { response, data };
+
+                        throw new FetchError(
+                            `${response.status} ${response.statusText}`.trim(),
+                            { type: 'http', response, data }
+                        );
+                    });
+            })
+            .catch(fail)
+            .finally(() => {
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', abort);
+            });
     }
 
     /**
-     * Counts HTML elements by CSS selector
-     * @param {HTMLElement} parentNode
-     * @param {String} selector
-     * @returns {Number} Number of elements
+     * Default retry condition: network errors, timeouts and transient statuses
+     * @param {FetchError} error
+     * @returns {Boolean}
      */
-    atlantis.count = function (parentNode, selector) {
-        return parentNode.querySelectorAll(selector).length;
+    const shouldRetry = function (error) {
+        if (error.type == 'network' || error.type == 'timeout') return true;
+        return error.type == 'http' && retryStatuses.includes(error.status);
     }
 
     /**
-     * Triggers event on HTML element
+     * Prefixes relative URL with base URL
+     * @param {String} baseURL
+     * @param {String} url
+     * @returns {String} URL
+     */
+    const joinUrl = function (baseURL, url) {
+        if (!baseURL || /^([a-z][a-z\d+\-.]*:)?\/\//i.test(url)) return url;
+        return `${baseURL.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+    }
+
+    /**
+     * Merges request options over defaults, combining headers
+     * @param {Object} defaults
+     * @param {Object} options
+     * @returns {Object} Request options
+     */
+    const mergeConfig = function (defaults = {}, options = {}) {
+        const headers = new Headers(defaults.headers);
+
+        new Headers(options.headers).forEach((value, key) => {
+            headers.set(key, value);
+        });
+
+        return { ...defaults, ...options, headers };
+    }
+
+    /**
+     * Performs request, retrying on failure
+     * @param {Object} config Request options, see atlantis.fetch
+     * @returns {Promise} { response, data }
+     */
+    const request = function ({
+        method = 'GET',
+        baseURL,
+        url = '/',
+        query,
+        body,
+        headers,
+        responseType = 'auto',
+        timeout = 0,
+        signal,
+        retry = 0,
+        retryDelay = 300,
+        retryOn = shouldRetry,
+        ...init
+    }) {
+        method = method.toUpperCase();
+        headers = new Headers(headers);
+        url = buildUrl(joinUrl(baseURL, url), query);
+
+        init = { ...init, method, headers };
+
+        if (!['GET', 'HEAD'].includes(method)) {
+            init.body = serializeBody(body, headers);
+        }
+
+        const attempt = function (count) {
+            return send(url, init, { timeout, signal, responseType })
+                .catch(error => {
+                    if (error.type == 'abort') throw error;
+                    if (count > retry || !retryOn(error, count)) throw error;
+
+                    let delay = typeof retryDelay == 'function'
+                        ? retryDelay(count, error)
+                        : retryDelay * 2 ** (count - 1);
+
+                    const retryAfter = error.response
+                        && Number(error.response.headers.get('Retry-After'));
+
+                    if (retryAfter > 0) delay = Math.max(delay, retryAfter * 1000);
+
+                    return wait(delay, signal).then(() => attempt(count + 1));
+                });
+        }
+
+        return attempt(1);
+    }
+
+    /**
+     * Creates preconfigured fetch client
      *
-     * @param {HTMLElement} element
-     * @param {String} event
-     * @param {Object} data
-     * @returns {CustomEvent} event
+     * Interceptors run in the order they were added:
+     * request (config) => config,
+     * response (data, response, config) => data,
+     * error (error, config) => data | throw.
+     * An error interceptor may replay the call with client(config).
+     *
+     * @param {Object} defaults Default request options
+     * @returns {Function} Client
      */
-    atlantis.trigger = function (element, event, data = {}) {
-        let customEvent;
+    const createClient = function (defaults = {}) {
+        const interceptors = { request: [], response: [], error: [] };
 
-        if (window.CustomEvent && typeof window.CustomEvent === 'function') {
-            customEvent = new CustomEvent(event, { detail: data });
-        } else {
-            customEvent = document.createEvent('CustomEvent');
-            customEvent.initCustomEvent(event, true, true, data);
+        /**
+         * Asynchronous request
+         *
+         * Resolves with the parsed response body, rejects with FetchError
+         * on network errors, timeouts, aborts and non-2xx statuses.
+         *
+         * @param {Object} options
+         * @param {String} options.method
+         * @param {String} options.baseURL Prefix for relative URLs
+         * @param {String} options.url
+         * @param {Object} options.query Query parameters
+         * @param {*} options.body Object, FormData, URLSearchParams, Blob or String
+         * @param {Object} options.headers
+         * @param {String} options.credentials omit | same-origin | include
+         * @param {String} options.responseType auto | json | text | blob | arrayBuffer | formData
+         * @param {Number} options.timeout Milliseconds per attempt, 0 to disable
+         * @param {AbortSignal} options.signal
+         * @param {Number} options.retry Number of retries
+         * @param {Number|Function} options.retryDelay Base delay in ms or (attempt, error) => ms
+         * @param {Function} options.retryOn (error, attempt) => Boolean
+         * @param {Function} options.success (response, data)
+         * @param {Function} options.failure (error)
+         * @returns {Promise} Parsed response body
+         */
+        const client = function ({
+            success = function () { },
+            failure = function () { },
+            ...options
+        } = {}) {
+            let config = mergeConfig(client.defaults, options);
+            let response;
+
+            const promise = interceptors.request
+                .reduce(
+                    (chain, fn) => chain.then(config => fn(config)),
+                    Promise.resolve(config)
+                )
+                .then(resolved => {
+                    config = resolved;
+                    return request(config);
+                })
+                .then(result => {
+                    response = result.response;
+
+                    return interceptors.response.reduce(
+                        (chain, fn) => chain.then(data => fn(data, response, config)),
+                        Promise.resolve(result.data)
+                    );
+                })
+                .catch(error => {
+                    if (error instanceof FetchError) error.config = config;
+
+                    return interceptors.error.reduce(
+                        (chain, fn) => chain.catch(error => fn(error, config)),
+                        Promise.reject(error)
+                    );
+                })
+                .then(data => {
+                    success(response, data);
+                    return data;
+                });
+
+            promise.catch(error => failure(error));
+
+            return promise;
         }
 
-        return element.dispatchEvent(customEvent);
+        const stack = function (name) {
+            return {
+                use(fn) {
+                    interceptors[name].push(fn);
+
+                    return function () {
+                        const index = interceptors[name].indexOf(fn);
+                        if (index > -1) interceptors[name].splice(index, 1);
+                    }
+                },
+                clear() {
+                    interceptors[name].length = 0;
+                }
+            };
+        }
+
+        client.defaults = defaults;
+
+        client.interceptors = {
+            request: stack('request'),
+            response: stack('response'),
+            error: stack('error')
+        };
+
+        /**
+         * Creates client inheriting these defaults, without interceptors
+         * @param {Object} options Default request options
+         * @returns {Function} Client
+         */
+        client.create = function (options = {}) {
+            return createClient(mergeConfig(client.defaults, options));
+        }
+
+        return client;
+    }
+
+    atlantis.fetch = createClient();
+
+    atlantis.FetchError = FetchError;
+
+    /**
+     * Converts camelCase string into dash-case string
+     *
+     * @param {String} someString
+     * @returns {String} some-string
+     */
+    atlantis.camelToDash = function (string) {
+        return string.split(/(?=[A-Z])/)
+            .map(value => value.toLowerCase())
+            .join('-');
+    }
+
+    /**
+     * Converts dash-case string into camelCase string
+     *
+     * @param {String} some-string
+     * @returns {String} someString
+     */
+    atlantis.dashToCamel = function (string) {
+        return string.split('-').map((value, index) => {
+            value = value.toLowerCase();
+            if (!index) return value;
+            return `${value.charAt(0).toUpperCase()}${value.slice(1)}`;
+        }).join('');
+    }
+
+    /**
+     * Default cookie attributes
+     */
+    const cookieDefaults = {
+        path: '/',
+        secure: true,
+        samesite: 'strict',
+        'max-age': 60 * 60 * 24 * 14
+    };
+
+    /**
+     * Decodes cookie name or value, keeps malformed ones as is
+     * @param {String} string
+     * @returns {String} Decoded string
+     */
+    const decodeCookie = function (string) {
+        try {
+            return decodeURIComponent(string);
+        } catch (error) {
+            return string;
+        }
+    }
+
+    /**
+     * Creates cookie API over a store with document.cookie semantics
+     * @param {Object} store Object with cookie getter & setter
+     * @returns {Function} Cookie API
+     */
+    const createCookieJar = function (store) {
+        /**
+         * Gets all cookies
+         * @param {Object} options
+         * @param {Boolean} options.json Decodes JSON values
+         * @returns {Object} { name: value }
+         */
+        function all({ json = false } = {}) {
+            const cookies = {};
+
+            (store.cookie ? store.cookie.split(/;\s*/) : []).forEach(pair => {
+                const index = pair.indexOf('=');
+
+                if (index < 0) return;
+
+                const name = decodeCookie(pair.slice(0, index));
+                let value = decodeCookie(pair.slice(index + 1));
+
+                if (name in cookies) return;
+
+                if (json) {
+                    try {
+                        value = JSON.parse(value);
+                    } catch (error) { }
+                }
+
+                cookies[name] = value;
+            });
+
+            return cookies;
+        }
+
+        /**
+         * Gets cookie
+         * @param {String} name
+         * @param {Object} options
+         * @param {Boolean} options.json Decodes JSON value
+         * @returns {*} Cookie value
+         */
+        function get(name, options) {
+            return all(options)[name];
+        }
+
+        /**
+         * Sets cookie
+         * @param {String} name
+         * @param {*} value Objects are stored as JSON
+         * @param {Object} options Cookie attributes: path, domain, secure, samesite, max-age
+         * @param {Date|Number} options.expires Date or number of days
+         * @param {Boolean} options.json Encodes value as JSON
+         */
+        function set(name, value, { json = false, ...options } = {}) {
+            const attributes = { ...cookieDefaults, ...options };
+
+            if ('expires' in options && !('max-age' in options)) {
+                delete attributes['max-age'];
+            }
+
+            if (typeof attributes.expires == 'number') {
+                attributes.expires = new Date(Date.now() + attributes.expires * 864e5);
+            }
+
+            if (attributes.expires instanceof Date) {
+                attributes.expires = attributes.expires.toUTCString();
+            }
+
+            if (json || (value !== null && typeof value == 'object')) {
+                value = JSON.stringify(value);
+            }
+
+            let cookie = `${encodeURIComponent(name)}=${encodeURIComponent(value)}`;
+
+            Object.entries(attributes).forEach(([key, value]) => {
+                if (value === false || value === null || value === undefined) return;
+                cookie += value === true ? `; ${key}` : `; ${key}=${value}`;
+            });
+
+            store.cookie = cookie;
+        }
+
+        /**
+         * Removes cookie, path and domain must match the ones it was set with
+         * @param {String} name
+         * @param {Object} options
+         */
+        function remove(name, options = {}) {
+            set(name, '', { ...options, json: false, expires: new Date(0), 'max-age': 0 });
+        }
+
+        /**
+         * Gets & sets cookies
+         *
+         * cookie() returns all, cookie(name) gets, cookie(name, value, options) sets.
+         *
+         * @param {...any} args
+         * @returns {String|Object|void} Cookie value
+         */
+        const cookie = function (...args) {
+            if (!args.length) return all();
+            if (args.length == 1) return get(args[0]);
+            set(...args);
+        }
+
+        cookie.get = get;
+        cookie.set = set;
+        cookie.remove = remove;
+        cookie.all = all;
+        cookie.jar = createCookieJar;
+
+        return cookie;
+    }
+
+    atlantis.cookie = createCookieJar(document);
+
+    /**
+     * Creates in-memory store with Web Storage interface
+     * @returns {Object} Storage
+     */
+    const createMemoryStorage = function () {
+        const data = new Map();
+
+        return {
+            get length() {
+                return data.size;
+            },
+            key(index) {
+                const keys = Array.from(data.keys());
+                return index < keys.length ? keys[index] : null;
+            },
+            getItem(key) {
+                return data.has(key) ? data.get(key) : null;
+            },
+            setItem(key, value) {
+                data.set(key, String(value));
+            },
+            removeItem(key) {
+                data.delete(key);
+            },
+            clear() {
+                data.clear();
+            }
+        };
+    }
+
+    /**
+     * Memory fallbacks shared by storages of the same type
+     */
+    const memoryStorages = {
+        local: createMemoryStorage(),
+        session: createMemoryStorage()
+    };
+
+    /**
+     * Types whose Web Storage got full and is replaced by memory
+     */
+    const fullStorages = new Set();
+
+    /**
+     * Checks if error means storage is full
+     * @param {Error} error
+     * @returns {Boolean}
+     */
+    const isQuotaError = function (error) {
+        return Boolean(error) && (error.name == 'QuotaExceededError'
+            || error.name == 'NS_ERROR_DOM_QUOTA_REACHED'
+            || error.code == 22
+            || error.code == 1014);
+    }
+
+    /**
+     * Creates JSON storage over localStorage or sessionStorage
+     *
+     * Falls back to memory, shared by storages of the same type,
+     * when Web Storage is unavailable or full.
+     * Subscribers get { key, value, oldValue, external } on changes
+     * from this page and, through the storage event, from other tabs.
+     *
+     * @param {String} type local | session
+     * @param {Object} options
+     * @param {String} options.namespace Prefix of keys
+     * @returns {Object} Storage object
+     */
+    atlantis.storage = function (type = 'local', { namespace = '' } = {}) {
+        const prefix = namespace ? `${namespace}:` : '';
+        const listeners = new Set();
+        let area;
+
+        try {
+            area = window[`${type}Storage`];
+            area.getItem(prefix);
+        } catch (error) {
+            area = undefined;
+        }
+
+        if (!(type in memoryStorages)) memoryStorages[type] = createMemoryStorage();
+
+        const memory = memoryStorages[type];
+
+        function store() {
+            return area && !fullStorages.has(type) ? area : memory;
+        }
+
+        function decode(raw, fallback) {
+            if (raw === null || raw === undefined) return { value: fallback };
+
+            try {
+                const entry = JSON.parse(raw);
+
+                if (entry instanceof Object && 'value' in entry) return entry;
+
+                return { value: entry };
+            } catch (error) {
+                return { value: raw };
+            }
+        }
+
+        function keys() {
+            const backend = store();
+            const result = [];
+
+            for (let i = 0; i < backend.length; i++) {
+                const key = backend.key(i);
+                if (key !== null && key.startsWith(prefix)) result.push(key.slice(prefix.length));
+            }
+
+            return result;
+        }
+
+        function useMemory() {
+            for (let i = 0; i < area.length; i++) {
+                const key = area.key(i);
+                if (key !== null) memory.setItem(key, area.getItem(key));
+            }
+
+            fullStorages.add(type);
+        }
+
+        function notify(change) {
+            listeners.forEach(handler => handler(change));
+        }
+
+        /**
+         * Gets value
+         * @param {String} key
+         * @param {*} fallback Returned for missing and expired keys
+         * @returns {*} Value
+         */
+        function get(key, fallback) {
+            const entry = decode(store().getItem(prefix + key), fallback);
+
+            if (entry.expires && entry.expires <= Date.now()) {
+                store().removeItem(prefix + key);
+                return fallback;
+            }
+
+            return entry.value;
+        }
+
+        /**
+         * Sets value
+         * @param {String} key
+         * @param {*} value JSON-serializable value, undefined removes the key
+         * @param {Object} options
+         * @param {Number} options.ttl Lifetime in milliseconds
+         */
+        function set(key, value, { ttl } = {}) {
+            if (value === undefined) return remove(key);
+
+            const oldValue = get(key);
+            const entry = { value };
+
+            if (ttl > 0) entry.expires = Date.now() + ttl;
+
+            try {
+                store().setItem(prefix + key, JSON.stringify(entry));
+            } catch (error) {
+                if (!isQuotaError(error)) throw error;
+
+                useMemory();
+                store().setItem(prefix + key, JSON.stringify(entry));
+            }
+
+            notify({ key, value, oldValue, external: false });
+        }
+
+        /**
+         * Removes value
+         * @param {String} key
+         */
+        function remove(key) {
+            const oldValue = get(key);
+
+            store().removeItem(prefix + key);
+            notify({ key, value: undefined, oldValue, external: false });
+        }
+
+        /**
+         * Removes all values of the namespace
+         */
+        function clear() {
+            keys().forEach(key => store().removeItem(prefix + key));
+            notify({ key: null, value: undefined, oldValue: undefined, external: false });
+        }
+
+        function storageEvent(event) {
+            if (!area || event.storageArea !== area) return;
+
+            if (event.key === null) {
+                return notify({ key: null, value: undefined, oldValue: undefined, external: true });
+            }
+
+            if (!event.key.startsWith(prefix)) return;
+
+            notify({
+                key: event.key.slice(prefix.length),
+                value: decode(event.newValue).value,
+                oldValue: decode(event.oldValue).value,
+                external: true
+            });
+        }
+
+        /**
+         * Subscribes to changes
+         * @param {Function} handler ({ key, value, oldValue, external })
+         * @returns {Function} Unsubscribes
+         */
+        function subscribe(handler) {
+            if (!listeners.size) atlantis.on(window, 'storage', storageEvent);
+
+            listeners.add(handler);
+
+            return function () {
+                listeners.delete(handler);
+                if (!listeners.size) atlantis.off(window, 'storage', storageEvent);
+            }
+        }
+
+        return {
+            get,
+            set,
+            remove,
+            clear,
+            keys,
+            subscribe
+        };
+    }
+
+    /**
+     * Converts string to Date, YYYY-MM-DD being a local date
+     * @param {Date|String|Number} value
+     * @returns {Date} Date, or value if not a string
+     */
+    const toDate = function (value) {
+        if (typeof value != 'string') return value;
+
+        const parts = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+
+        return parts ? new Date(parts[1], parts[2] - 1, parts[3]) : new Date(value);
+    }
+
+    /**
+     * Returns date at 00:00
+     * @param {Date|String|Number} date
+     * @returns {Date} Date
+     */
+    const startOfDay = function (date) {
+        date = new Date(date);
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    }
+
+    /**
+     * Returns date shifted by days
+     * @param {Date} date
+     * @param {Number} days
+     * @returns {Date} Date
+     */
+    const addDays = function (date, days) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+    }
+
+    /**
+     * Returns date shifted by months, keeping the day within the month
+     * @param {Date} date
+     * @param {Number} months
+     * @returns {Date} Date
+     */
+    const addMonths = function (date, months) {
+        const last = new Date(date.getFullYear(), date.getMonth() + months + 1, 0);
+        return new Date(last.getFullYear(), last.getMonth(), Math.min(date.getDate(), last.getDate()));
+    }
+
+    /**
+     * Regions whose week starts on Sunday or Saturday, by CLDR
+     */
+    const weekStartRegions = {
+        0: [
+            'AG', 'AS', 'BD', 'BR', 'BS', 'BT', 'BW', 'BZ', 'CA', 'CN', 'CO',
+            'DM', 'DO', 'ET', 'GT', 'GU', 'HK', 'HN', 'ID', 'IL', 'IN', 'JM',
+            'JP', 'KE', 'KH', 'KR', 'LA', 'MH', 'MM', 'MO', 'MT', 'MX', 'MZ',
+            'NI', 'NP', 'PA', 'PE', 'PH', 'PK', 'PR', 'PT', 'PY', 'SA', 'SG',
+            'SV', 'TH', 'TT', 'TW', 'UM', 'US', 'VE', 'VI', 'WS', 'YE', 'ZA', 'ZW'
+        ],
+        6: ['AE', 'AF', 'BH', 'DJ', 'DZ', 'EG', 'IQ', 'IR', 'JO', 'KW', 'LY', 'OM', 'QA', 'SD', 'SY']
+    };
+
+    /**
+     * Detects first day of week for locale
+     * @param {String} locale
+     * @returns {Number} 0 (Sunday) – 6 (Saturday)
+     */
+    const getFirstDayOfWeek = function (locale) {
+        try {
+            const intlLocale = new Intl.Locale(locale);
+            const weekInfo = intlLocale.getWeekInfo
+                ? intlLocale.getWeekInfo()
+                : intlLocale.weekInfo;
+
+            if (weekInfo) return weekInfo.firstDay % 7;
+
+            const region = intlLocale.maximize().region;
+
+            for (const [day, regions] of Object.entries(weekStartRegions)) {
+                if (regions.includes(region)) return Number(day);
+            }
+        } catch (error) { }
+
+        return 1;
+    }
+
+    /**
+     * Parses date typed in locale format (31.12.2021, 12/31/2021, 2021-12-31)
+     * @param {String} value
+     * @param {String} locale
+     * @returns {Date|undefined} Date
+     */
+    const parseLocaleDate = function (value, locale) {
+        const numbers = String(value).match(/\d+/g);
+
+        if (!numbers || numbers.length != 3) return;
+
+        let order = ['day', 'month', 'year'];
+
+        if (numbers[0].length == 4) {
+            order = ['year', 'month', 'day'];
+        } else {
+            try {
+                order = new Intl.DateTimeFormat(locale)
+                    .formatToParts(new Date(2021, 11, 31))
+                    .map(part => part.type)
+                    .filter(type => order.includes(type));
+            } catch (error) { }
+        }
+
+        const parts = {};
+
+        order.forEach((type, index) => parts[type] = Number(numbers[index]));
+
+        if (parts.year < 100) parts.year += 2000;
+
+        const date = new Date(parts.year, parts.month - 1, parts.day);
+
+        if (date.getMonth() != parts.month - 1 || date.getDate() != parts.day) return;
+
+        return date;
+    }
+
+    /**
+     * Styles hiding element visually but not from screen readers
+     */
+    const visuallyHidden = {
+        position: 'absolute',
+        width: '1px',
+        height: '1px',
+        overflow: 'hidden',
+        clip: 'rect(0 0 0 0)',
+        'white-space': 'nowrap'
+    };
+
+    /**
+     * Creates datepicker attached to HTML element
+     *
+     * Follows the WAI-ARIA date picker dialog pattern: opens on Enter
+     * or Alt+ArrowDown, arrows, PageUp/PageDown (with Shift for years)
+     * and Home/End move focus, Escape closes and returns focus.
+     *
+     * @param {HTMLElement} element HTML Element
+     * @param {Object} options
+     * @param {String} options.locale
+     * @param {Date|String} options.date Displayed month
+     * @param {Date|String} options.current Selected date
+     * @param {Date|String} options.minDate Earliest selectable date
+     * @param {Date|String} options.maxDate Latest selectable date
+     * @param {Function} options.disabled (date) => Boolean, true if not selectable
+     * @param {Array} options.yearRange [first, last] years of the year select
+     * @param {String} options.mode single | range
+     * @param {Object} options.range Initially selected { start, end } in range mode
+     * @param {Number} options.numberOfMonths Months shown side by side
+     * @param {String} options.label Accessible name of the dialog
+     * @param {String} options.placement See atlantis.position
+     * @param {Number} options.firstDayOfWeek 0 (Sunday) – 6, detected from locale
+     * @param {Function} options.format (date) => String written into the element
+     * @param {Function} options.parse (string) => Date read from the element
+     * @param {String} options.separator Between range dates in the element
+     * @param {String} options.transition Of the container, see atlantis.show
+     * @param {Function} options.callback Click handler of selectable days,
+     * gets { start, end } in range mode
+     * @returns {Object} Datepicker object
+     */
+    atlantis.datepicker = atlantis.widget('datepicker', function (element, {
+        locale = 'ru',
+        date = new Date(),
+        current = date,
+        minDate,
+        maxDate,
+        disabled = function () { return false; },
+        yearRange,
+        mode = 'single',
+        range = {},
+        numberOfMonths = 1,
+        label = 'Choose date',
+        placement = 'bottom-start',
+        firstDayOfWeek = getFirstDayOfWeek(locale),
+        format = date => date.toLocaleDateString(locale),
+        parse = value => parseLocaleDate(value, locale),
+        separator = ' – ',
+        transition,
+        callback = function () { }
+    } = {}) {
+        const editable = element instanceof HTMLInputElement
+            || element instanceof HTMLTextAreaElement;
+
+        const today = new Date();
+
+        date = toDate(date);
+        current = toDate(current);
+
+        if (minDate) minDate = startOfDay(toDate(minDate));
+        if (maxDate) maxDate = startOfDay(toDate(maxDate));
+
+        let [firstYear, lastYear] = yearRange || [
+            minDate ? minDate.getFullYear() : today.getFullYear() - 10,
+            maxDate ? maxDate.getFullYear() : today.getFullYear() + 10
+        ];
+
+        if (minDate) firstYear = Math.max(firstYear, minDate.getFullYear());
+        if (maxDate) lastYear = Math.min(lastYear, maxDate.getFullYear());
+
+        range = {
+            start: range.start ? startOfDay(toDate(range.start)) : undefined,
+            end: range.end ? startOfDay(toDate(range.end)) : undefined
+        };
+
+        const container = atlantis.create('div', {
+            class: 'atlantis-datepicker-container',
+            role: 'dialog',
+            aria: { modal: 'true', label }
+        });
+        const status = atlantis.create('div', {
+            class: 'atlantis-datepicker-status',
+            style: visuallyHidden,
+            aria: { live: 'polite', atomic: 'true' }
+        });
+        const yearsWrapper = atlantis.create('div', {
+            class: 'atlantis-datepicker-years-wrapper'
+        });
+        const monthWrapper = atlantis.create('div', {
+            class: numberOfMonths > 1 ? 'atlantis-datepicker-months' : '',
+            style: numberOfMonths > 1 ? { display: 'flex' } : {}
+        });
+
+        let years;
+        let months;
+        let monthTables = [];
+        let focused;
+        let positioner;
+        let isOpen = false;
+        const labels = { days: [], weekdays: [], months: [], month: 'Month', year: 'Year' };
+
+        for (let d = 1; d <= 7; d++) {
+            labels.days.push(
+                (new Date(2020, 10, d))
+                    .toLocaleString(locale, { weekday: 'short' })
+            );
+            labels.weekdays.push(
+                (new Date(2020, 10, d))
+                    .toLocaleString(locale, { weekday: 'long' })
+            );
+        }
+
+        if (window.Intl && Intl.DisplayNames) {
+            try {
+                const names = new Intl.DisplayNames(locale, { type: 'dateTimeField' });
+                labels.month = names.of('month');
+                labels.year = names.of('year');
+            } catch (error) { }
+        }
+
+        for (let m = 0; m <= 11; m++) {
+            labels.months.push(
+                (new Date(2021, m, 1))
+                    .toLocaleString(locale, { month: 'long' })
+            );
+        }
+
+        function isDisabled(day) {
+            if (minDate && day < minDate) return true;
+            if (maxDate && day > maxDate) return true;
+            return Boolean(disabled(day));
+        }
+
+        function clampDate(value) {
+            if (minDate && value < minDate) value = new Date(minDate);
+            if (maxDate && value > maxDate) value = new Date(maxDate);
+
+            if (value.getFullYear() < firstYear) value = new Date(firstYear, 0, 1);
+            if (value.getFullYear() > lastYear) value = new Date(lastYear, 11, 31);
+
+            return value;
+        }
+
+        date = clampDate(new Date(date));
+
+        if (current) current = startOfDay(current);
+
+        function destroyYears() {
+            if (years) {
+                years.remove();
+                years = undefined;
+            }
+        }
+
+        function destroyMonths() {
+            if (months) {
+                months.remove();
+                months = undefined;
+            }
+        }
+
+        function getYears() {
+            destroyYears();
+            years = atlantis.create('select', { aria: { label: labels.year } });
+
+            for (let year = firstYear; year <= lastYear; year++) {
+                const newDate = new Date(year, date.getMonth(), 1);
+                const option = atlantis.create('option');
+
+                if (year == date.getFullYear()) option.selected = 'selected';
+                if (current && year == current.getFullYear()) option.classList.add('current');
+
+                option.value = newDate.toLocaleDateString('en-US');
+                option.innerHTML = newDate.toLocaleDateString(locale, {
+                    year: 'numeric'
+                });
+                years.append(option);
+            }
+
+            atlantis.on(years, 'change', refreshMonthTable);
+            return years;
+        }
+
+
+        function getMonths() {
+            destroyMonths();
+
+            months = atlantis.create('select', { aria: { label: labels.month } });
+
+            for (let month = 0; month <= 11; month++) {
+                const newDate = new Date(date.getFullYear(), month, 1);
+                const lastDate = new Date(date.getFullYear(), month + 1, 0);
+                const option = atlantis.create('option');
+
+                if (month == date.getMonth()) option.selected = 'selected';
+
+                if (current && month == current.getMonth()
+                    && date.getFullYear() == current.getFullYear()
+                ) {
+                    option.classList.add('current');
+                }
+
+                if ((minDate && lastDate < minDate) || (maxDate && newDate > maxDate)) {
+                    option.disabled = true;
+                }
+
+                option.value = newDate.toLocaleDateString('en-US');
+                option.innerHTML = labels.months[month];
+                months.append(option);
+            }
+
+            atlantis.on(months, 'change', refreshMonthTable);
+
+            return months;
+        }
+
+        function clickHandler(event) {
+            event.stopPropagation();
+        }
+
+        function refreshMonthTable(event) {
+            const refocus = this === years ? 'years' : 'months';
+
+            date = clampDate(new Date(Date.parse(this.value)));
+            render();
+
+            (refocus == 'years' ? years : months).focus();
+        }
+
+        function render() {
+            destroyYears();
+            destroyMonths();
+            destroyTable();
+
+            yearsWrapper.append(getMonths());
+            yearsWrapper.append(getYears());
+
+            const captions = [];
+
+            for (let offset = 0; offset < numberOfMonths; offset++) {
+                const monthTable = getTable(offset);
+
+                captions.push(monthTable.getAttribute('aria-label'));
+                monthWrapper.append(monthTable);
+            }
+
+            status.textContent = captions.join(' – ');
+
+            paintRange();
+
+            const cells = monthWrapper.querySelectorAll('td[data-time]');
+            const active = (focused && monthWrapper.querySelector(`td[data-time="${focused.getTime()}"]`))
+                || monthWrapper.querySelector('td.current')
+                || monthWrapper.querySelector('td.range-start')
+                || monthWrapper.querySelector('td[data-time]:not([aria-disabled])')
+                || cells[0];
+
+            cells.forEach(td => td.tabIndex = td === active ? 0 : -1);
+
+            if (active) focused = new Date(Number(active.dataset.time));
+        }
+
+        function focusDay(day) {
+            if (minDate && day < minDate) day = new Date(minDate);
+            if (maxDate && day > maxDate) day = new Date(maxDate);
+            if (day.getFullYear() < firstYear || day.getFullYear() > lastYear) return;
+
+            const first = new Date(date.getFullYear(), date.getMonth(), 1);
+            const last = new Date(date.getFullYear(), date.getMonth() + numberOfMonths, 0);
+
+            focused = day;
+
+            if (day < first || day > last) {
+                date = new Date(day.getFullYear(), day.getMonth(), 1);
+                render();
+            } else {
+                monthWrapper.querySelectorAll('td[data-time]').forEach(td => {
+                    td.tabIndex = Number(td.dataset.time) == day.getTime() ? 0 : -1;
+                });
+            }
+
+            const cell = monthWrapper.querySelector(`td[data-time="${day.getTime()}"]`);
+
+            if (cell) cell.focus();
+        }
+
+        function keydown(event) {
+            const day = new Date(Number(this.dataset.time));
+            const weekday = (day.getDay() - firstDayOfWeek + 7) % 7;
+            let next;
+
+            switch (event.key) {
+                case 'ArrowLeft':
+                    next = addDays(day, -1);
+                    break;
+                case 'ArrowRight':
+                    next = addDays(day, 1);
+                    break;
+                case 'ArrowUp':
+                    next = addDays(day, -7);
+                    break;
+                case 'ArrowDown':
+                    next = addDays(day, 7);
+                    break;
+                case 'Home':
+                    next = addDays(day, -weekday);
+                    break;
+                case 'End':
+                    next = addDays(day, 6 - weekday);
+                    break;
+                case 'PageUp':
+                    next = addMonths(day, event.shiftKey ? -12 : -1);
+                    break;
+                case 'PageDown':
+                    next = addMonths(day, event.shiftKey ? 12 : 1);
+                    break;
+                case 'Enter':
+                case ' ':
+                    event.preventDefault();
+                    if (this.getAttribute('aria-disabled') == 'true') return;
+                    this.click();
+                    focusDay(day);
+                    return;
+                default:
+                    return;
+            }
+
+            event.preventDefault();
+            focusDay(next);
+        }
+
+        function dialogKeydown(event) {
+            if (event.key == 'Escape') {
+                event.preventDefault();
+                hide();
+                element.focus();
+            } else if (event.key == 'Tab') {
+                const focusable = Array.from(
+                    container.querySelectorAll('select, [tabindex="0"]')
+                );
+                const index = focusable.indexOf(document.activeElement);
+                const next = event.shiftKey ? index - 1 : index + 1;
+
+                event.preventDefault();
+                focusable[(next + focusable.length) % focusable.length].focus();
+            }
+        }
+
+        function elementKeydown(event) {
+            if (event.key == 'Enter' || (event.altKey && event.key == 'ArrowDown')) {
+                event.preventDefault();
+                show(event);
+                focusDay(focused);
+            }
+        }
+
+        function select(event) {
+            const day = new Date(Number(this.dataset.time));
+
+            if (mode != 'range') {
+                setDate(day, true);
+                return callback.call(this, event);
+            }
+
+            if (!range.start || range.end) {
+                range = { start: day, end: undefined };
+            } else if (day < range.start) {
+                range = { start: day, end: range.start };
+            } else {
+                range.end = day;
+            }
+
+            paintRange();
+
+            if (!range.end) return;
+
+            write();
+            atlantis.trigger(element, 'change', getDate());
+            callback(getDate());
+        }
+
+        /**
+         * Writes formatted selection into the element
+         */
+        function write() {
+            if (!editable) return;
+
+            if (mode != 'range') {
+                element.value = current ? format(current) : '';
+            } else if (range.start && range.end) {
+                element.value = `${format(range.start)}${separator}${format(range.end)}`;
+            } else {
+                element.value = '';
+            }
+        }
+
+        /**
+         * Reads selection typed into the element
+         * @returns {Boolean} true if the value was valid
+         */
+        function read() {
+            if (!editable || !element.value.trim()) return false;
+
+            if (mode != 'range') {
+                const value = parse(element.value.trim());
+
+                if (!value || isNaN(value) || isDisabled(startOfDay(value))) return false;
+
+                current = startOfDay(value);
+                date = clampDate(new Date(current));
+            } else {
+                const [start, end] = element.value.split(separator.trim())
+                    .map(part => parse(part.trim()));
+
+                if (!start || !end || isNaN(start) || isNaN(end)) return false;
+
+                range = { start: startOfDay(start), end: startOfDay(end) };
+                date = clampDate(new Date(range.start));
+            }
+
+            return true;
+        }
+
+        /**
+         * Gets selected date, { start, end } in range mode
+         * @returns {Date|Object} Date
+         */
+        function getDate() {
+            if (mode == 'range') return { start: range.start, end: range.end };
+            return current ? new Date(current) : undefined;
+        }
+
+        /**
+         * Sets selected date, { start, end } in range mode
+         * @param {Date|Object} value
+         * @param {Boolean} trigger Fires change event
+         */
+        function setDate(value, trigger = false) {
+            if (mode == 'range') {
+                range = {
+                    start: value && value.start ? startOfDay(toDate(value.start)) : undefined,
+                    end: value && value.end ? startOfDay(toDate(value.end)) : undefined
+                };
+
+                if (range.start) date = clampDate(new Date(range.start));
+            } else {
+                current = value ? startOfDay(toDate(value)) : undefined;
+
+                if (current) {
+                    date = clampDate(new Date(current));
+                    focused = current;
+                }
+            }
+
+            write();
+
+            if (isOpen) render();
+            if (trigger) atlantis.trigger(element, 'change', getDate());
+        }
+
+        function input(event) {
+            if (event instanceof CustomEvent) return;
+            if (read()) atlantis.trigger(element, 'change', getDate());
+        }
+
+        function preview() {
+            if (mode != 'range' || !range.start || range.end) return;
+            paintRange(new Date(Number(this.dataset.time)));
+        }
+
+        function paintRange(hovered) {
+            if (mode != 'range') return;
+
+            let { start, end = hovered } = range;
+
+            if (start && end && end < start) [start, end] = [end, start];
+
+            monthWrapper.querySelectorAll('td[data-time]').forEach(td => {
+                const time = Number(td.dataset.time);
+
+                td.classList.toggle('range-start', Boolean(start) && time == start.getTime());
+                td.classList.toggle('range-end', Boolean(end) && time == end.getTime());
+                td.classList.toggle('in-range', Boolean(start && end)
+                    && time > start.getTime() && time < end.getTime());
+                td.setAttribute('aria-selected', String(
+                    td.classList.contains('range-start')
+                    || td.classList.contains('range-end')
+                    || td.classList.contains('in-range')
+                ));
+            });
+        }
+
+        function getDaysInMonth(month, year) {
+            return new Date(year, month + 1, 0).getDate();
+        }
+
+        function getTable(offset = 0) {
+            const shown = new Date(date.getFullYear(), date.getMonth() + offset, 1);
+            const year = shown.getFullYear();
+            const month = shown.getMonth();
+            const days_in_month = getDaysInMonth(month, year);
+            const first_day_date = new Date(year, month, 1);
+            const first_day_weekday = first_day_date.getDay();
+            const prev_month = month == 0 ? 11 : month - 1;
+            const prev_year = prev_month == 11 ? year - 1 : year;
+            const prev_days = getDaysInMonth(prev_month, prev_year);
+
+            const monthTable = atlantis.create('table', {
+                role: 'grid',
+                aria: { label: `${labels.months[month]} ${year}` }
+            });
+
+            if (numberOfMonths > 1) {
+                monthTable.append(atlantis.create('caption', {},
+                    `${labels.months[month]} ${year}`
+                ));
+            }
+
+            const thead = document.createElement('thead');
+
+            let tr = atlantis.create('tr', {
+                class: 'week-days'
+            });
+
+            for (let d = 0; d < 7; d++) {
+                const weekday = (firstDayOfWeek + d) % 7;
+                const th = atlantis.create('th', {
+                    scope: 'col',
+                    abbr: labels.weekdays[weekday]
+                });
+                th.innerHTML = labels.days[weekday];
+                tr.append(th);
+            }
+
+            thead.append(tr);
+            monthTable.append(thead);
+
+            const leading = (first_day_weekday - firstDayOfWeek + 7) % 7;
+            const tbody = document.createElement('tbody');
+
+            for (let i = 0; i < 42; i++) {
+                if (i % 7 == 0) {
+                    tr = document.createElement('tr');
+                    tr.classList.add('week');
+                    tbody.append(tr);
+                }
+
+                const td = document.createElement('td');
+                const day = i - leading + 1;
+
+                tr.append(td);
+
+                if (day < 1) {
+                    td.innerHTML = prev_days + day;
+                } else if (day > days_in_month) {
+                    td.innerHTML = day - days_in_month;
+                } else {
+                    const dayDate = new Date(year, month, day);
+
+                    td.innerHTML = day;
+                    td.setAttribute('role', 'gridcell');
+                    td.setAttribute('aria-selected', 'false');
+                    td.setAttribute('aria-label', dayDate.toLocaleDateString(locale, {
+                        weekday: 'long',
+                        year: 'numeric',
+                        month: 'long',
+                        day: 'numeric'
+                    }));
+
+                    if (day == today.getDate() &&
+                        today.getMonth() == month &&
+                        today.getFullYear() == year
+                    ) {
+                        td.classList.add('today');
+                    }
+
+                    if (mode != 'range' && current &&
+                        day == current.getDate() &&
+                        current.getMonth() == month &&
+                        current.getFullYear() == year
+                    ) {
+                        td.classList.add('current');
+                        td.setAttribute('aria-selected', 'true');
+                    }
+
+                    if (isDisabled(dayDate)) {
+                        td.classList.add('disabled');
+                        td.setAttribute('aria-disabled', 'true');
+                    }
+
+                    td.setAttribute('data-time', dayDate.getTime());
+                }
+            }
+
+            monthTable.append(tbody);
+            monthTables.push(monthTable);
+
+            return monthTable;
+        }
+
+        function show(event) {
+            if (event) event.stopPropagation();
+
+            if (isOpen) return false;
+
+            isOpen = true;
+            element.setAttribute('aria-expanded', 'true');
+
+            read();
+
+            atlantis.on(document, 'click.datepicker', hide);
+
+            render();
+
+            atlantis.show(container, { parent: document.body, transition });
+
+            atlantis.on(container, 'click.datepicker', clickHandler);
+            atlantis.on(
+                monthWrapper,
+                'click.datepicker',
+                'td[data-time]:not([aria-disabled])',
+                select
+            );
+            atlantis.on(
+                monthWrapper,
+                'mouseover.datepicker',
+                'td[data-time]:not([aria-disabled])',
+                preview
+            );
+            atlantis.on(monthWrapper, 'mouseleave.datepicker', () => paintRange());
+            atlantis.on(monthWrapper, 'keydown.datepicker', 'td[data-time]', keydown);
+            atlantis.on(container, 'keydown.datepicker', dialogKeydown);
+
+            positioner = atlantis.position(container, element, {
+                placement,
+                autoUpdate: true
+            });
+        }
+
+        function destroyTable() {
+            monthTables.forEach(monthTable => monthTable.remove());
+            monthTables = [];
+        }
+
+        function hide() {
+            if (!isOpen) return;
+
+            isOpen = false;
+            element.setAttribute('aria-expanded', 'false');
+
+            if (positioner) {
+                positioner.destroy();
+                positioner = undefined;
+            }
+
+            atlantis.hide(container, { transition, remove: true }).then(() => {
+                if (!isOpen) destroyTable();
+            });
+            atlantis.off(container, '.datepicker');
+            atlantis.off(monthWrapper, '.datepicker');
+            atlantis.off(document, 'click', hide);
+        }
+
+        function destroy() {
+            hide();
+            atlantis.off(element, '.datepicker');
+            element.removeAttribute('aria-haspopup');
+            element.removeAttribute('aria-expanded');
+        }
+
+        container.append(yearsWrapper);
+        container.append(monthWrapper);
+        container.append(status);
+
+        element.setAttribute('aria-haspopup', 'dialog');
+        element.setAttribute('aria-expanded', 'false');
+
+        atlantis.on(element, 'click.datepicker', show);
+        atlantis.on(element, 'keydown.datepicker', elementKeydown);
+        atlantis.on(element, 'change.datepicker', input);
+
+        read();
+
+        return {
+            show: show,
+            hide: hide,
+            destroy: destroy,
+            getDate: getDate,
+            setDate: setDate
+        };
+    });
+
+    /**
+     * Allow HTML element to be moved using mouse, touch or pen
+     *
+     * Callbacks get { element, event, top, left }.
+     *
+     * @param {HTMLElement} element HTML Element
+     * @param {HTMLElement} options.parent Containment
+     * @param {String} options.axis x | y
+     * @param {String} options.handle Selector of descendants that start dragging
+     * @param {String} options.cancel Selector of descendants that don't start dragging
+     * @param {Array} options.grid [x, y] snapping in px
+     * @param {Function} options.drag
+     * @param {Function} options.start
+     * @param {Function} options.stop
+     * @returns {Object} Draggable object
+     */
+    atlantis.draggable = atlantis.widget('draggable', function (element, {
+        parent = element.parentNode,
+        axis = '',
+        handle,
+        cancel = 'input, textarea, select, button, option, [contenteditable]',
+        grid,
+        drag = function () { },
+        start = function () { },
+        stop = function () { }
+    } = {}) {
+        let pointerId;
+        const diff = { x: 0, y: 0 };
+        const position = { top: 0, left: 0 };
+        const handles = handle
+            ? Array.from(element.querySelectorAll(handle))
+            : [element];
+
+        function data(event) {
+            return { element, event, top: position.top, left: position.left };
+        }
+
+        function pointerDown(event) {
+            if (pointerId !== undefined || event.button > 0) return;
+
+            if (handle) {
+                const target = event.target.closest(handle);
+                if (!target || !element.contains(target)) return;
+            }
+
+            if (cancel && event.target.closest(cancel)) return;
+
+            event.preventDefault();
+
+            pointerId = event.pointerId;
+            diff.x = event.clientX - element.offsetLeft;
+            diff.y = event.clientY - element.offsetTop;
+            position.top = element.offsetTop;
+            position.left = element.offsetLeft;
+
+            if (element.setPointerCapture) element.setPointerCapture(pointerId);
+
+            atlantis.on(element, 'pointermove.draggable', pointerMove);
+            atlantis.on(element, 'pointerup.draggable pointercancel.draggable', pointerUp);
+
+            start(data(event));
+        }
+
+        function pointerUp(event) {
+            if (event.pointerId !== pointerId) return;
+
+            if (element.releasePointerCapture && element.hasPointerCapture(pointerId)) {
+                element.releasePointerCapture(pointerId);
+            }
+
+            pointerId = undefined;
+
+            atlantis.off(element, 'pointermove.draggable pointerup.draggable pointercancel.draggable');
+
+            updateDropZones(element, event, event.type == 'pointerup');
+
+            stop(data(event));
+        }
+
+        function pointerMove(event) {
+            if (event.pointerId !== pointerId) return false;
+
+            let top = event.clientY - diff.y;
+            let left = event.clientX - diff.x;
+
+            if (grid) {
+                top = Math.round(top / grid[1]) * grid[1];
+                left = Math.round(left / grid[0]) * grid[0];
+            }
+
+            const containment = {
+                right: parent.clientWidth - element.clientWidth,
+                bottom: parent.clientHeight - element.clientHeight
+            };
+
+            if (top < 0) {
+                top = 0;
+            } else if (top > containment.bottom) {
+                top = containment.bottom;
+            }
+
+            if (left < 0) {
+                left = 0;
+            } else if (left > containment.right) {
+                left = containment.right;
+            }
+
+            switch (axis) {
+                case 'x':
+                    position.left = left;
+                    element.style.left = `${left}px`;
+                    break;
+                case 'y':
+                    position.top = top;
+                    element.style.top = `${top}px`;
+                    break;
+                default:
+                    position.top = top;
+                    position.left = left;
+                    element.style.top = `${top}px`;
+                    element.style.left = `${left}px`;
+                    break;
+            }
+
+            updateDropZones(element, event);
+
+            drag(data(event));
+        }
+
+        function destroy() {
+            atlantis.off(element, '.draggable');
+            handles.forEach(node => node.style.touchAction = '');
+            pointerId = undefined;
+            return element;
+        }
+
+        function create() {
+            handles.forEach(node => node.style.touchAction = 'none');
+            atlantis.on(element, 'pointerdown.draggable', pointerDown);
+        }
+
+        create();
+
+        return { destroy };
+    });
+
+    const dropZones = new Set();
+
+    /**
+     * Hit-tests drop zones against pointer while element is dragged
+     * @param {HTMLElement} element Dragged element
+     * @param {PointerEvent} event
+     * @param {Boolean} dropped Pointer was released
+     */
+    const updateDropZones = function (element, event, dropped = false) {
+        dropZones.forEach(zone => {
+            if (zone.element === element || element.contains(zone.element)) return;
+            if (!zone.accepts(element)) return;
+
+            const rect = zone.element.getBoundingClientRect();
+            const inside = event.clientX >= rect.left && event.clientX <= rect.right
+                && event.clientY >= rect.top && event.clientY <= rect.bottom;
+            const data = { element, target: zone.element, event };
+
+            if (inside && !zone.active) {
+                zone.active = true;
+                zone.element.classList.add(zone.hoverClass);
+                zone.over(data);
+            } else if (!inside && zone.active) {
+                zone.active = false;
+                zone.element.classList.remove(zone.hoverClass);
+                zone.out(data);
+            }
+
+            if (!zone.active || event.type == 'pointermove') return;
+
+            zone.active = false;
+            zone.element.classList.remove(zone.hoverClass);
+
+            if (dropped) zone.drop(data);
+            else zone.out(data);
+        });
+    }
+
+    /**
+     * Makes HTML element a drop target for draggable and sortable elements
+     *
+     * Callbacks get { element, target, event }, element being the dragged one.
+     *
+     * @param {HTMLElement} element HTML Element
+     * @param {String|Function} options.accept Selector or (element) => Boolean
+     * @param {String} options.hoverClass Added while an accepted element is over
+     * @param {Function} options.over
+     * @param {Function} options.out
+     * @param {Function} options.drop
+     * @returns {Object} Droppable object
+     */
+    atlantis.droppable = atlantis.widget('droppable', function (element, {
+        accept = '*',
+        hoverClass = 'atlantis-droppable-over',
+        over = function () { },
+        out = function () { },
+        drop = function () { }
+    } = {}) {
+        const zone = {
+            element,
+            hoverClass,
+            over,
+            out,
+            drop,
+            active: false,
+            accepts: typeof accept == 'function'
+                ? accept
+                : dragged => dragged.matches(accept)
+        };
+
+        function destroy() {
+            dropZones.delete(zone);
+            element.classList.remove(hoverClass);
+            return element;
+        }
+
+        dropZones.add(zone);
+
+        return { destroy };
+    });
+
+    const sortables = new Set();
+
+    /**
+     * Makes children of HTML element reorderable by dragging
+     *
+     * Lists sharing a group exchange items. After a move the target list,
+     * and the source list if different, fire sortable:update with
+     * { item, from, to, oldIndex, newIndex }.
+     *
+     * @param {HTMLElement} list HTML Element
+     * @param {String} options.items Selector of sortable children, all by default
+     * @param {String} options.handle Selector of descendants that start dragging
+     * @param {String} options.cancel Selector of descendants that don't start dragging
+     * @param {String} options.group Name shared by connected lists
+     * @param {String} options.placeholderClass
+     * @returns {Object} Sortable object
+     */
+    atlantis.sortable = atlantis.widget('sortable', function (list, {
+        items,
+        handle,
+        cancel = 'input, textarea, select, button, option, [contenteditable]',
+        group,
+        placeholderClass = 'atlantis-sortable-placeholder'
+    } = {}) {
+        const sortable = { list, group, items };
+        const touchTargets = new Set();
+        let dragging;
+
+        function isItem(node, parent = list) {
+            const record = Array.from(sortables).find(record => record.list === parent);
+            const selector = record ? record.items : items;
+
+            return node.parentNode === parent && node.nodeType == 1
+                && (!selector || node.matches(selector));
+        }
+
+        function getItems(parent) {
+            return Array.from(parent.children).filter(node => isItem(node, parent));
+        }
+
+        /**
+         * Stops touch panning on items or their handles, as draggable does
+         */
+        function lockTouch() {
+            getItems(list).forEach(item => {
+                (handle ? Array.from(item.querySelectorAll(handle)) : [item]).forEach(node => {
+                    node.style.touchAction = 'none';
+                    touchTargets.add(node);
+                });
+            });
+        }
+
+        function connected() {
+            return Array.from(sortables).filter(record => {
+                return record === sortable || (group && record.group === group);
+            });
+        }
+
+        function pointerDown(event) {
+            if (dragging || event.button > 0) return;
+
+            let item = event.target;
+
+            while (item && item.parentNode !== list) item = item.parentNode;
+
+            if (!item || !isItem(item)) return;
+
+            if (handle) {
+                const target = event.target.closest(handle);
+                if (!target || !item.contains(target)) return;
+            }
+
+            if (cancel && event.target.closest(cancel)) return;
+
+            event.preventDefault();
+
+            const rect = item.getBoundingClientRect();
+            const placeholder = atlantis.create(item.tagName, {
+                class: placeholderClass,
+                style: { height: `${rect.height}px` }
+            });
+
+            dragging = {
+                item,
+                placeholder,
+                pointerId: event.pointerId,
+                oldIndex: getItems(list).indexOf(item),
+                style: item.getAttribute('style'),
+                diff: { x: event.clientX - rect.left, y: event.clientY - rect.top }
+            };
+
+            item.before(placeholder);
+
+            atlantis.css(item, {
+                position: 'fixed',
+                width: `${rect.width}px`,
+                height: `${rect.height}px`,
+                top: `${rect.top}px`,
+                left: `${rect.left}px`,
+                'pointer-events': 'none',
+                'z-index': 1000
+            });
+
+            if (item.setPointerCapture) item.setPointerCapture(event.pointerId);
+
+            atlantis.on(item, 'pointermove.sortable', pointerMove);
+            atlantis.on(item, 'pointerup.sortable pointercancel.sortable', pointerUp);
+        }
+
+        function pointerMove(event) {
+            if (event.pointerId !== dragging.pointerId) return;
+
+            const { item, placeholder, diff } = dragging;
+
+            item.style.top = `${event.clientY - diff.y}px`;
+            item.style.left = `${event.clientX - diff.x}px`;
+
+            const target = connected().find(({ list }) => {
+                const rect = list.getBoundingClientRect();
+                return event.clientX >= rect.left && event.clientX <= rect.right
+                    && event.clientY >= rect.top && event.clientY <= rect.bottom;
+            });
+
+            if (target) {
+                const siblings = getItems(target.list)
+                    .filter(node => node !== item && node !== placeholder);
+                const next = siblings.find(node => {
+                    const rect = node.getBoundingClientRect();
+                    return event.clientY < rect.top + rect.height / 2;
+                });
+
+                if (next) next.before(placeholder);
+                else if (siblings.length) siblings[siblings.length - 1].after(placeholder);
+                else target.list.append(placeholder);
+            }
+
+            updateDropZones(item, event);
+        }
+
+        function pointerUp(event) {
+            if (event.pointerId !== dragging.pointerId) return;
+
+            const { item, placeholder, oldIndex, style } = dragging;
+            const to = placeholder.parentNode;
+
+            dragging = undefined;
+
+            if (item.releasePointerCapture && item.hasPointerCapture(event.pointerId)) {
+                item.releasePointerCapture(event.pointerId);
+            }
+
+            atlantis.off(item, 'pointermove.sortable pointerup.sortable pointercancel.sortable');
+
+            if (style === null) item.removeAttribute('style');
+            else item.setAttribute('style', style);
+
+            placeholder.replaceWith(item);
+
+            updateDropZones(item, event, event.type == 'pointerup');
+            lockTouch();
+
+            const newIndex = getItems(to).indexOf(item);
+
+            if (to === list && newIndex == oldIndex) return;
+
+            const data = { item, from: list, to, oldIndex, newIndex };
+
+            atlantis.trigger(to, 'sortable:update', data);
+
+            if (to !== list) atlantis.trigger(list, 'sortable:update', data);
+        }
+
+        function destroy() {
+            sortables.delete(sortable);
+            atlantis.off(list, '.sortable');
+
+            touchTargets.forEach(node => {
+                if (list.contains(node)) node.style.touchAction = '';
+            });
+            touchTargets.clear();
+
+            return list;
+        }
+
+        sortables.add(sortable);
+        lockTouch();
+
+        atlantis.on(list, 'pointerdown.sortable', pointerDown);
+
+        return { destroy };
+    });
+
+    /**
+     * Default placement and cursor of resize handles
+     */
+    const resizeHandleStyles = {
+        n: { top: '-4px', left: 0, width: '100%', height: '8px', cursor: 'ns-resize' },
+        s: { bottom: '-4px', left: 0, width: '100%', height: '8px', cursor: 'ns-resize' },
+        e: { top: 0, right: '-4px', width: '8px', height: '100%', cursor: 'ew-resize' },
+        w: { top: 0, left: '-4px', width: '8px', height: '100%', cursor: 'ew-resize' },
+        ne: { top: '-4px', right: '-4px', width: '8px', height: '8px', cursor: 'nesw-resize' },
+        nw: { top: '-4px', left: '-4px', width: '8px', height: '8px', cursor: 'nwse-resize' },
+        se: { bottom: '-4px', right: '-4px', width: '8px', height: '8px', cursor: 'nwse-resize' },
+        sw: { bottom: '-4px', left: '-4px', width: '8px', height: '8px', cursor: 'nesw-resize' }
+    };
+
+    /**
+     * Allow HTML element to be resized with edge and corner handles
+     *
+     * Callbacks get { element, event, width, height, top, left }.
+     *
+     * @param {HTMLElement} element HTML Element
+     * @param {String|Array} options.handles n, e, s, w, ne, nw, se, sw
+     * @param {Number} options.minWidth
+     * @param {Number} options.maxWidth
+     * @param {Number} options.minHeight
+     * @param {Number} options.maxHeight
+     * @param {Boolean|Number} options.aspectRatio true keeps the initial ratio
+     * @param {HTMLElement} options.containment Parent to stay within, false to disable
+     * @param {Array} options.grid [x, y] snapping in px
+     * @param {Function} options.start
+     * @param {Function} options.resize
+     * @param {Function} options.stop
+     * @returns {Object} Resizable object
+     */
+    atlantis.resizable = atlantis.widget('resizable', function (element, {
+        handles = 'e, s, se',
+        minWidth = 10,
+        maxWidth = Infinity,
+        minHeight = 10,
+        maxHeight = Infinity,
+        aspectRatio = false,
+        containment = element.parentNode,
+        grid,
+        start = function () { },
+        resize = function () { },
+        stop = function () { }
+    } = {}) {
+        const position = element.style.position;
+        const directions = (typeof handles == 'string' ? handles.split(',') : handles)
+            .map(direction => direction.trim())
+            .filter(direction => direction in resizeHandleStyles);
+
+        const nodes = directions.map(direction => atlantis.create('div', {
+            class: `atlantis-resizable-handle atlantis-resizable-${direction}`,
+            'data-direction': direction,
+            style: {
+                position: 'absolute',
+                'touch-action': 'none',
+                ...resizeHandleStyles[direction]
+            }
+        }));
+
+        const size = {};
+        let state;
+
+        function data(event) {
+            return { element, event, ...size };
+        }
+
+        /**
+         * Gets computed left or top the element is placed at,
+         * relative elements being offset from their normal position
+         * @param {String} side left | top
+         * @param {Number} offset offsetLeft or offsetTop
+         * @returns {Number} Inset in px
+         */
+        function inset(side, offset) {
+            const style = getComputedStyle(element);
+            const value = parseFloat(style[side]);
+
+            if (!isNaN(value)) return value;
+            if (style.position == 'relative') return 0;
+
+            return offset - (parseFloat(side == 'left' ? style.marginLeft : style.marginTop) || 0);
+        }
+
+        function pointerDown(event) {
+            if (state || event.button > 0) return;
+
+            event.preventDefault();
+            event.stopPropagation();
+
+            const width = atlantis.width(element);
+            const height = atlantis.height(element);
+
+            state = {
+                handle: this,
+                direction: this.dataset.direction,
+                pointerId: event.pointerId,
+                x: event.clientX,
+                y: event.clientY,
+                width,
+                height,
+                top: element.offsetTop,
+                left: element.offsetLeft,
+                insetTop: inset('top', element.offsetTop),
+                insetLeft: inset('left', element.offsetLeft),
+                ratio: aspectRatio === true ? width / height : aspectRatio
+            };
+
+            Object.assign(size, { width, height, top: state.top, left: state.left });
+
+            if (this.setPointerCapture) this.setPointerCapture(event.pointerId);
+
+            atlantis.on(this, 'pointermove.resizable', pointerMove);
+            atlantis.on(this, 'pointerup.resizable pointercancel.resizable', pointerUp);
+
+            start(data(event));
+        }
+
+        function pointerMove(event) {
+            if (event.pointerId !== state.pointerId) return;
+
+            const { direction, ratio } = state;
+            const dx = event.clientX - state.x;
+            const dy = event.clientY - state.y;
+            let width = state.width;
+            let height = state.height;
+
+            if (direction.includes('e')) width += dx;
+            if (direction.includes('w')) width -= dx;
+            if (direction.includes('s')) height += dy;
+            if (direction.includes('n')) height -= dy;
+
+            if (grid) {
+                width = Math.round(width / grid[0]) * grid[0];
+                height = Math.round(height / grid[1]) * grid[1];
+            }
+
+            if (ratio) {
+                if (direction == 'n' || direction == 's') width = height * ratio;
+                else height = width / ratio;
+            }
+
+            width = Math.max(minWidth, Math.min(width, maxWidth));
+            height = Math.max(minHeight, Math.min(height, maxHeight));
+
+            if (containment) {
+                const right = direction.includes('w')
+                    ? state.left + state.width
+                    : containment.clientWidth;
+                const bottom = direction.includes('n')
+                    ? state.top + state.height
+                    : containment.clientHeight;
+                const left = direction.includes('w') ? 0 : state.left;
+                const top = direction.includes('n') ? 0 : state.top;
+
+                width = Math.min(width, right - left);
+                height = Math.min(height, bottom - top);
+            }
+
+            if (ratio) {
+                if (width / height > ratio) width = height * ratio;
+                else height = width / ratio;
+            }
+
+            size.width = width;
+            size.height = height;
+            size.left = direction.includes('w') ? state.left + state.width - width : state.left;
+            size.top = direction.includes('n') ? state.top + state.height - height : state.top;
+
+            atlantis.css(element, { width: `${width}px`, height: `${height}px` });
+
+            if (direction.includes('w')) {
+                element.style.left = `${state.insetLeft + size.left - state.left}px`;
+            }
+
+            if (direction.includes('n')) {
+                element.style.top = `${state.insetTop + size.top - state.top}px`;
+            }
+
+            resize(data(event));
+        }
+
+        function pointerUp(event) {
+            if (event.pointerId !== state.pointerId) return;
+
+            const { handle } = state;
+
+            if (handle.releasePointerCapture && handle.hasPointerCapture(event.pointerId)) {
+                handle.releasePointerCapture(event.pointerId);
+            }
+
+            state = undefined;
+
+            atlantis.off(handle, 'pointermove.resizable pointerup.resizable pointercancel.resizable');
+
+            stop(data(event));
+        }
+
+        function destroy() {
+            nodes.forEach(node => node.remove());
+            element.style.position = position;
+            return element;
+        }
+
+        if (getComputedStyle(element).position == 'static') {
+            element.style.position = 'relative';
+        }
+
+        nodes.forEach(node => {
+            atlantis.on(node, 'pointerdown.resizable', pointerDown);
+            element.append(node);
+        });
+
+        return { destroy };
+    });
+
+    /**
+     * Checks if element is visible
+     *
+     * @param {HTMLElement} element
+     * @returns {Boolean} true | false
+     */
+    atlantis.isVisible = function (element) {
+        return element.offsetWidth > 0 || element.offsetHeight > 0;
+    }
+
+    /**
+     * Gets the closest ancestor of element matching a selector
+     * @param {HTMLElement} element HTML element
+     * @param {String} selector Parent HTML Element CSS selector
+     * @returns {HTMLElement|undefined} HTML element | undefined
+     */
+    atlantis.parent = function (element, selector) {
+        if (!selector || !element.parentElement) return;
+
+        return element.parentElement.closest(selector) || undefined;
+    }
+
+    /**
+     * Gets element height
+     * @param {HTMLElement} element
+     * @returns {Number} Height
+     */
+    atlantis.height = function (element) {
+        return parseFloat(getComputedStyle(element).height.replace("px", ""));
+    }
+
+    /**
+     * Gets element width
+     * @param {HTMLElement} element
+     * @returns {Number} Width
+     */
+    atlantis.width = function (element) {
+        return parseFloat(getComputedStyle(element).width.replace("px", ""));
+    }
+
+    /**
+     * Positions floating HTML element next to reference element
+     *
+     * Coordinates account for page scroll and the floating element's
+     * offset parent. With flip the element moves to the opposite side
+     * when it overflows the viewport, with shift it slides along its side.
+     *
+     * @param {HTMLElement} floating
+     * @param {HTMLElement} reference
+     * @param {Object} options
+     * @param {String} options.placement top | right | bottom | left, optionally -start | -end
+     * @param {Number} options.offset Distance from reference in px
+     * @param {Boolean} options.flip
+     * @param {Boolean} options.shift
+     * @param {Number} options.padding Minimum distance to viewport edges in px
+     * @param {Boolean} options.autoUpdate Recompute on scroll and resize
+     * @returns {Object} Position object
+     */
+    atlantis.position = function (floating, reference, {
+        placement = 'bottom-start',
+        offset = 0,
+        flip = true,
+        shift = true,
+        padding = 0,
+        autoUpdate = false
+    } = {}) {
+        const opposites = { top: 'bottom', bottom: 'top', left: 'right', right: 'left' };
+        let resizeObserver;
+        let cancelRemove;
+        let current = placement;
+
+        function coords(side, align, rect, size) {
+            const vertical = side == 'top' || side == 'bottom';
+            const point = {};
+
+            if (side == 'top') point.y = rect.top - size.height - offset;
+            if (side == 'bottom') point.y = rect.bottom + offset;
+            if (side == 'left') point.x = rect.left - size.width - offset;
+            if (side == 'right') point.x = rect.right + offset;
+
+            const axis = vertical ? 'x' : 'y';
+            const start = vertical ? rect.left : rect.top;
+            const length = vertical ? rect.width : rect.height;
+            const own = vertical ? size.width : size.height;
+
+            if (align == 'start') point[axis] = start;
+            else if (align == 'end') point[axis] = start + length - own;
+            else point[axis] = start + (length - own) / 2;
+
+            return point;
+        }
+
+        function overflow(side, point, size, viewport) {
+            if (side == 'top') return padding - point.y;
+            if (side == 'bottom') return point.y + size.height - viewport.height + padding;
+            if (side == 'left') return padding - point.x;
+            return point.x + size.width - viewport.width + padding;
+        }
+
+        /**
+         * Recomputes position
+         * @returns {Object} { x, y, placement }
+         */
+        function update() {
+            const rect = reference.getBoundingClientRect();
+            const size = { width: floating.offsetWidth, height: floating.offsetHeight };
+            const viewport = {
+                width: document.documentElement.clientWidth,
+                height: document.documentElement.clientHeight
+            };
+            let [side, align = ''] = placement.split('-');
+            let point = coords(side, align, rect, size);
+
+            if (flip && overflow(side, point, size, viewport) > 0) {
+                const flipped = coords(opposites[side], align, rect, size);
+
+                if (overflow(opposites[side], flipped, size, viewport)
+                    < overflow(side, point, size, viewport)
+                ) {
+                    side = opposites[side];
+                    point = flipped;
+                }
+            }
+
+            if (shift) {
+                const axis = side == 'top' || side == 'bottom' ? 'x' : 'y';
+                const max = axis == 'x'
+                    ? viewport.width - size.width - padding
+                    : viewport.height - size.height - padding;
+
+                point[axis] = Math.max(padding, Math.min(point[axis], max));
+            }
+
+            const style = getComputedStyle(floating);
+            let { x, y } = point;
+
+            if (style.position == 'static') floating.style.position = 'absolute';
+
+            if (style.position != 'fixed') {
+                const parent = floating.offsetParent;
+
+                if (parent && parent !== document.body && parent !== document.documentElement) {
+                    const parentRect = parent.getBoundingClientRect();
+                    x += parent.scrollLeft - parentRect.left - parent.clientLeft;
+                    y += parent.scrollTop - parentRect.top - parent.clientTop;
+                } else {
+                    x += window.pageXOffset;
+                    y += window.pageYOffset;
+                }
+            }
+
+            current = align ? `${side}-${align}` : side;
+
+            atlantis.css(floating, { top: `${y}px`, left: `${x}px` });
+            floating.setAttribute('data-placement', current);
+
+            return { x, y, placement: current };
+        }
+
+        function destroy() {
+            atlantis.off(window, 'scroll resize', update);
+            if (resizeObserver) resizeObserver.disconnect();
+            if (cancelRemove) cancelRemove();
+        }
+
+        update();
+
+        if (autoUpdate) {
+            atlantis.on(window, 'scroll.position resize.position', update, {
+                capture: true,
+                passive: true
+            });
+
+            if (window.ResizeObserver) {
+                resizeObserver = new ResizeObserver(() => update());
+                resizeObserver.observe(floating);
+                resizeObserver.observe(reference);
+            }
+
+            cancelRemove = atlantis.onRemove(floating, destroy);
+        }
+
+        return {
+            update,
+            destroy,
+            get placement() {
+                return current;
+            }
+        };
+    }
+
+    /**
+     * Sets CSS properties to HTML element
+     * @param {HTMLElement} element HTML element
+     * @param {Object} properties CSS properties
+     */
+    atlantis.css = function (element, properties = {}) {
+        if (properties instanceof Object) {
+            Object.entries(properties).forEach(([key, value]) => {
+                element.style[atlantis.dashToCamel(key)] = value;
+            })
+        }
+    }
+
+    /**
+     * Lightweight collection of HTML Elements returned by $$()
+     *
+     * Setters apply to every element and return the collection,
+     * getters read the first element.
+     */
+    class Collection {
+        /**
+         * @param {String|Node|NodeList|Array} target CSS selector, element or list
+         * @param {HTMLElement|Document} context Root of the selector search
+         */
+        constructor(target, context = document) {
+            let elements;
+
+            if (!target) {
+                elements = [];
+            } else if (typeof target == 'string') {
+                elements = context.querySelectorAll(target);
+            } else if (target.nodeType || target === window) {
+                elements = [target];
+            } else {
+                elements = target;
+            }
+
+            elements = Array.from(new Set(elements));
+            elements.forEach((element, index) => this[index] = element);
+            this.length = elements.length;
+        }
+
+        [Symbol.iterator]() {
+            return this.toArray()[Symbol.iterator]();
+        }
+
+        /**
+         * @returns {Array} Elements
+         */
+        toArray() {
+            return Array.prototype.slice.call(this);
+        }
+
+        /**
+         * @param {Number} index Negative counts from the end
+         * @returns {HTMLElement|undefined} Element
+         */
+        get(index) {
+            return this[index < 0 ? this.length + index : index];
+        }
+
+        /**
+         * @param {Function} callback (element, index)
+         * @returns {Collection}
+         */
+        each(callback) {
+            this.toArray().forEach((element, index) => callback.call(element, element, index));
+            return this;
+        }
+
+        /**
+         * @param {String|Function} selector CSS selector or (element, index) => Boolean
+         * @returns {Collection} Matching elements
+         */
+        filter(selector) {
+            return new Collection(this.toArray().filter((element, index) => {
+                return typeof selector == 'function'
+                    ? selector.call(element, element, index)
+                    : element.nodeType == 1 && element.matches(selector);
+            }));
+        }
+
+        /**
+         * @param {String} selector
+         * @returns {Collection} Matching descendants
+         */
+        find(selector) {
+            return new Collection(this.toArray().flatMap(element => {
+                return element.querySelectorAll ? Array.from(element.querySelectorAll(selector)) : [];
+            }));
+        }
+
+        /**
+         * @param {String} selector
+         * @returns {Collection} Closest matching element or ancestor of each element
+         */
+        closest(selector) {
+            return new Collection(this.toArray().map(element => {
+                return element.nodeType == 1 ? element.closest(selector) : null;
+            }).filter(Boolean));
+        }
+
+        /**
+         * @param {String} selector
+         * @returns {Collection} Child elements
+         */
+        children(selector) {
+            const children = new Collection(this.toArray().flatMap(element => {
+                return Array.from(element.children || []);
+            }));
+
+            return selector ? children.filter(selector) : children;
+        }
+
+        /**
+         * @param {String} selector
+         * @returns {Collection} Sibling elements
+         */
+        siblings(selector) {
+            const siblings = new Collection(this.toArray().flatMap(element => {
+                if (!element.parentNode) return [];
+
+                return Array.from(element.parentNode.children)
+                    .filter(sibling => sibling !== element);
+            }));
+
+            return selector ? siblings.filter(selector) : siblings;
+        }
+
+        /**
+         * @param {...String} names Class names
+         * @returns {Collection}
+         */
+        addClass(...names) {
+            return this.each(element => element.classList.add(...names));
+        }
+
+        /**
+         * @param {...String} names Class names
+         * @returns {Collection}
+         */
+        removeClass(...names) {
+            return this.each(element => element.classList.remove(...names));
+        }
+
+        /**
+         * @param {String} name Class name
+         * @param {Boolean} force
+         * @returns {Collection}
+         */
+        toggleClass(name, force) {
+            return this.each(element => element.classList.toggle(name, force));
+        }
+
+        /**
+         * Gets attribute of the first element or sets attributes,
+         * null or false removes attribute
+         *
+         * @param {String|Object} name Attribute name or { name: value }
+         * @param {*} value
+         * @returns {String|null|Collection} Value or collection
+         */
+        attr(name, value) {
+            if (typeof name == 'string' && value === undefined) {
+                return this[0] ? this[0].getAttribute(name) : undefined;
+            }
+
+            const attributes = typeof name == 'string' ? { [name]: value } : name;
+
+            return this.each(element => {
+                Object.entries(attributes).forEach(([key, value]) => {
+                    if (value === null || value === false) element.removeAttribute(key);
+                    else element.setAttribute(key, value === true ? '' : value);
+                });
+            });
+        }
+
+        /**
+         * Gets data attribute of the first element or sets data attributes
+         *
+         * @param {String|Object} key Data key or { key: value }
+         * @param {*} value
+         * @returns {*} Value, dataset or collection
+         */
+        data(key, value) {
+            if (key === undefined) return this[0] ? { ...this[0].dataset } : undefined;
+
+            if (typeof key == 'string' && value === undefined) {
+                if (key.includes('-')) key = atlantis.dashToCamel(key);
+                return this[0] ? this[0].dataset[key] : undefined;
+            }
+
+            const data = typeof key == 'string' ? { [key]: value } : key;
+
+            return this.each(element => {
+                Object.entries(data).forEach(([key, value]) => {
+                    if (key.includes('-')) key = atlantis.dashToCamel(key);
+
+                    if (value === null || value === undefined) delete element.dataset[key];
+                    else element.dataset[key] = value;
+                });
+            });
+        }
+
+        /**
+         * Adds event listeners, see atlantis.on
+         * @returns {Collection}
+         */
+        on(...args) {
+            return this.each(element => atlantis.on(element, ...args));
+        }
+
+        /**
+         * Removes event listeners, see atlantis.off
+         * @returns {Collection}
+         */
+        off(...args) {
+            return this.each(element => atlantis.off(element, ...args));
+        }
+
+        /**
+         * Gets computed style of the first element or sets styles
+         *
+         * @param {String|Object} properties Property name or { property: value }
+         * @returns {String|Collection} Value or collection
+         */
+        css(properties) {
+            if (typeof properties == 'string') {
+                return this[0]
+                    ? getComputedStyle(this[0]).getPropertyValue(atlantis.camelToDash(properties))
+                    : undefined;
+            }
+
+            return this.each(element => atlantis.css(element, properties));
+        }
+
+        /**
+         * @returns {Number|undefined} Width of the first element
+         */
+        width() {
+            return this[0] ? atlantis.width(this[0]) : undefined;
+        }
+
+        /**
+         * @returns {Number|undefined} Height of the first element
+         */
+        height() {
+            return this[0] ? atlantis.height(this[0]) : undefined;
+        }
+    }
+
+    /**
+     * @returns {Boolean} true if user asked to minimize motion
+     */
+    const prefersReducedMotion = function () {
+        return !!window.matchMedia
+            && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    /**
+     * Animates HTML Element with the Web Animations API
+     *
+     * Resolves at once when animations are unsupported or reduced motion
+     * is preferred.
+     *
+     * @param {HTMLElement} element
+     * @param {Array|Object} keyframes
+     * @param {Object|Number} options Animation options or duration in ms
+     * @returns {Promise} Element once finished or cancelled
+     */
+    atlantis.animate = function (element, keyframes, options = {}) {
+        if (!element.animate || prefersReducedMotion()) return Promise.resolve(element);
+
+        if (typeof options == 'number') options = { duration: options };
+
+        const animation = element.animate(keyframes, {
+            duration: 200,
+            easing: 'ease',
+            ...options
+        });
+
+        return animation.finished.then(() => element, () => element);
+    }
+
+    /**
+     * Keyframes of transition presets, played backwards on leave
+     */
+    const transitionPresets = {
+        fade: () => [{ opacity: 0 }, { opacity: 1 }],
+        slide: () => [
+            { opacity: 0, transform: 'translateY(-0.5rem)' },
+            { opacity: 1, transform: 'none' }
+        ],
+        collapse: element => [
+            { height: '0px', overflow: 'hidden' },
+            { height: `${element.scrollHeight}px`, overflow: 'hidden' }
+        ]
+    };
+
+    /**
+     * Cancels running transition: HTML Element → Function
+     */
+    const transitions = new WeakMap();
+
+    /**
+     * Inline display of elements hidden by atlantis.hide
+     */
+    const hiddenDisplay = new WeakMap();
+
+    /**
+     * Gets longest transition or animation of HTML Element
+     * @param {HTMLElement} element
+     * @returns {Number} Duration with delay in ms
+     */
+    const cssDuration = function (element) {
+        const style = getComputedStyle(element);
+        const times = value => (value || '').split(',').map(time => {
+            return parseFloat(time) * (time.trim().endsWith('ms') ? 1 : 1000) || 0;
+        });
+        const longest = (durations, delays) => Math.max(0, ...times(durations).map((duration, index) => {
+            const delay = times(delays);
+            return duration + (delay[index % delay.length] || 0);
+        }));
+
+        return Math.max(
+            longest(style.transitionDuration, style.transitionDelay),
+            longest(style.animationDuration, style.animationDelay)
+        );
+    }
+
+    /**
+     * Plays enter or leave transition
+     *
+     * Presets animate keyframes, other names toggle classes:
+     * name-enter-from, name-enter-active, name-enter-to
+     * (name-leave-* on leave) until transitionend or animationend.
+     *
+     * @param {HTMLElement} element
+     * @param {String|Array|Function} transition Preset, class prefix, keyframes or (element) => keyframes
+     * @param {String} direction enter | leave
+     * @param {Number} duration Of keyframe transitions in ms
+     * @returns {Promise} false if cancelled by another transition
+     */
+    const runTransition = function (element, transition, direction, duration) {
+        const cancelPrevious = transitions.get(element);
+
+        if (cancelPrevious) cancelPrevious();
+
+        if (!transition || !element.isConnected || prefersReducedMotion()) {
+            return Promise.resolve(true);
+        }
+
+        if (transition in transitionPresets) transition = transitionPresets[transition];
+
+        if (typeof transition == 'function' || Array.isArray(transition)) {
+            if (!element.animate) return Promise.resolve(true);
+
+            let keyframes = typeof transition == 'function' ? transition(element) : transition;
+
+            if (direction == 'leave') keyframes = [...keyframes].reverse();
+
+            const animation = element.animate(keyframes, { duration, easing: 'ease', fill: 'both' });
+            const cancel = () => animation.cancel();
+
+            transitions.set(element, cancel);
+
+            return animation.finished.then(() => true, () => false).then(completed => {
+                if (transitions.get(element) === cancel) transitions.delete(element);
+                if (completed) animation.cancel();
+                return completed;
+            });
+        }
+
+        return new Promise(resolve => {
+            const from = `${transition}-${direction}-from`;
+            const active = `${transition}-${direction}-active`;
+            const to = `${transition}-${direction}-to`;
+            let frame;
+            let timer;
+
+            function done(completed) {
+                cancelAnimationFrame(frame);
+                clearTimeout(timer);
+                atlantis.off(element, '.transition');
+                element.classList.remove(from, active, to);
+
+                if (transitions.get(element) === cancel) transitions.delete(element);
+
+                resolve(completed);
+            }
+
+            function end(event) {
+                if (event.target === element) done(true);
+            }
+
+            const cancel = () => done(false);
+
+            transitions.set(element, cancel);
+            element.classList.add(from, active);
+
+            frame = requestAnimationFrame(() => {
+                frame = requestAnimationFrame(() => {
+                    element.classList.remove(from);
+                    element.classList.add(to);
+
+                    const time = cssDuration(element);
+
+                    if (!time) return done(true);
+
+                    atlantis.on(element, 'transitionend.transition animationend.transition', end);
+                    timer = setTimeout(() => done(true), time + 50);
+                });
+            });
+        });
+    }
+
+    /**
+     * Shows HTML Element with enter transition
+     *
+     * @param {HTMLElement} element
+     * @param {Object} options
+     * @param {String|Array|Function} options.transition fade | slide | collapse,
+     * class prefix or keyframes, none by default
+     * @param {HTMLElement} options.parent Appended to if not in the document
+     * @param {Number} options.duration Of keyframe transitions in ms
+     * @returns {Promise} Element once shown
+     */
+    atlantis.show = function (element, { transition, parent, duration = 200 } = {}) {
+        detachedNodes.delete(element);
+
+        if (parent && !element.isConnected) parent.append(element);
+
+        if (element.style.display == 'none') {
+            element.style.display = hiddenDisplay.get(element) || '';
+            hiddenDisplay.delete(element);
+        }
+
+        element.hidden = false;
+
+        return runTransition(element, transition, 'enter', duration).then(() => element);
+    }
+
+    /**
+     * Hides HTML Element with leave transition
+     *
+     * @param {HTMLElement} element
+     * @param {Object} options
+     * @param {String|Array|Function} options.transition See atlantis.show
+     * @param {Boolean} options.remove Remove from the document instead of display: none,
+     * keeping listeners and widgets so the element can be shown again
+     * @param {Number} options.duration Of keyframe transitions in ms
+     * @returns {Promise} Element once hidden
+     */
+    atlantis.hide = function (element, { transition, remove = false, duration = 200 } = {}) {
+        const finish = function () {
+            if (remove) {
+                if (element.isConnected) detachedNodes.add(element);
+                element.remove();
+            } else if (element.style.display != 'none') {
+                hiddenDisplay.set(element, element.style.display);
+                element.style.display = 'none';
+            }
+
+            return element;
+        }
+
+        if (!transition || prefersReducedMotion()) {
+            runTransition(element);
+            return Promise.resolve(finish());
+        }
+
+        return runTransition(element, transition, 'leave', duration).then(completed => {
+            return completed ? finish() : element;
+        });
+    }
+
+    /**
+     * Shows hidden or hides shown HTML Element
+     *
+     * @param {HTMLElement} element
+     * @param {Boolean} force true to show, false to hide
+     * @param {Object} options See atlantis.show and atlantis.hide
+     * @returns {Promise} Element
+     */
+    atlantis.toggle = function (element, force, options = {}) {
+        const shown = element.isConnected && !element.hidden && element.style.display != 'none';
+
+        return (force === undefined ? !shown : force)
+            ? atlantis.show(element, options)
+            : atlantis.hide(element, options);
+    }
+
+    /**
+     * Elements whose text is never highlighted
+     */
+    const unhighlightableTags = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA', 'TEMPLATE'];
+
+    /**
+     * Elements whose text joins adjacent text into one searchable run
+     */
+    const inlineTags = [
+        'A', 'ABBR', 'B', 'BDI', 'BDO', 'CITE', 'CODE', 'DATA', 'DFN', 'EM',
+        'FONT', 'I', 'INS', 'DEL', 'KBD', 'MARK', 'Q', 'S', 'SAMP', 'SMALL',
+        'SPAN', 'STRONG', 'SUB', 'SUP', 'TIME', 'U', 'VAR'
+    ];
+
+    /**
+     * Removes diacritics (é → e)
+     * @param {String} string
+     * @returns {String}
+     */
+    const stripDiacritics = function (string) {
+        return string.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    }
+
+    /**
+     * Collects text nodes of HTML element into runs of adjacent inline text
+     * @param {HTMLElement} element
+     * @returns {Array} [{ text, nodes: [{ node, start }] }]
+     */
+    const textRuns = function (element) {
+        const runs = [];
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+            acceptNode(node) {
+                if (!node.data) return NodeFilter.FILTER_REJECT;
+                if (unhighlightableTags.includes(node.parentNode.nodeName)) {
+                    return NodeFilter.FILTER_REJECT;
+                }
+                return NodeFilter.FILTER_ACCEPT;
+            }
+        });
+
+        let run;
+        let block;
+
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            let parent = node.parentNode;
+
+            while (parent !== element && inlineTags.includes(parent.nodeName)) {
+                parent = parent.parentNode;
+            }
+
+            if (!run || parent !== block) {
+                run = { text: '', nodes: [] };
+                runs.push(run);
+                block = parent;
+            }
+
+            run.nodes.push({ node, start: run.text.length });
+            run.text += node.data;
+        }
+
+        return runs;
+    }
+
+    /**
+     * Wraps part of text node into highlight element
+     * @param {Text} node
+     * @param {Number} start
+     * @param {Number} end
+     * @param {HTMLElement} wrapper
+     */
+    const wrapText = function (node, start, end, wrapper) {
+        let middle = node;
+
+        if (end < node.length) node.splitText(end);
+        if (start > 0) middle = node.splitText(start);
+
+        middle.replaceWith(wrapper);
+        wrapper.append(middle);
+    }
+
+    /**
+     * Removes highlights created by atlantis.highlight from HTML element
+     * @param {HTMLElement} element
+     * @param {String} classname Removes only highlights with this class
+     */
+    atlantis.unhighlight = function (element, classname) {
+        const parents = new Set();
+
+        element.querySelectorAll('[data-atlantis-highlight]').forEach(wrapper => {
+            if (classname && !wrapper.classList.contains(classname)) return;
+
+            parents.add(wrapper.parentNode);
+            wrapper.replaceWith(...wrapper.childNodes);
+        });
+
+        parents.forEach(parent => parent.normalize());
+    }
+
+    /**
+     * Highlights string
+     *
+     * Walks text nodes only, so markup and listeners are left intact.
+     * The value is matched literally unless options.regex is set.
+     * Accepts legacy arguments (element, value, callback, type, classname).
+     *
+     * @param {HTMLElement} element
+     * @param {String} value
+     * @param {Object} options
+     * @param {Function} options.callback (element, wrappers) per match
+     * @param {String} options.tag Wrapper tag name
+     * @param {String} options.classname Wrapper class
+     * @param {Boolean} options.regex Treat value as regular expression
+     * @param {Boolean} options.caseSensitive
+     * @param {Boolean} options.ignoreDiacritics Match "e" with "é"
+     * @returns {Number} Number of values found
+     */
+    atlantis.highlight = function (element, value = '', ...args) {
+        let options = args[0];
+
+        if (!(options instanceof Object) || typeof options == 'function') {
+            const [callback, tag, classname] = args;
+            options = { callback, tag, classname };
+        }
+
+        const {
+            callback = function () { },
+            tag = 'span',
+            classname = 'highlight',
+            regex = false,
+            caseSensitive = false,
+            ignoreDiacritics = false
+        } = options;
+
+        let count = 0;
+
+        if (!value) return count;
+
+        let source = regex ? value : value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+        if (ignoreDiacritics) source = stripDiacritics(source);
+
+        const pattern = new RegExp(source, caseSensitive ? 'g' : 'gi');
+
+        textRuns(element).forEach(run => {
+            let text = run.text;
+            let map;
+
+            if (ignoreDiacritics) {
+                text = '';
+                map = [];
+
+                for (let i = 0; i < run.text.length; i++) {
+                    const char = stripDiacritics(run.text[i]);
+                    for (let j = 0; j < char.length; j++) map.push(i);
+                    text += char;
+                }
+            }
+
+            const matches = [];
+            let match;
+
+            pattern.lastIndex = 0;
+
+            while ((match = pattern.exec(text))) {
+                if (!match[0].length) {
+                    pattern.lastIndex++;
+                    continue;
+                }
+
+                let start = match.index;
+                let end = start + match[0].length;
+
+                if (map) {
+                    start = map[start];
+                    end = map[end - 1] + 1;
+                }
+
+                matches.push({ start, end, index: count++ });
+            }
+
+            matches.reverse().forEach(({ start, end, index }) => {
+                const wrappers = [];
+
+                for (let i = run.nodes.length - 1; i >= 0; i--) {
+                    const { node, start: offset } = run.nodes[i];
+                    const from = Math.max(start, offset) - offset;
+                    const to = Math.min(end, offset + node.length) - offset;
+
+                    if (from >= to) continue;
+
+                    const wrapper = atlantis.create(tag, {
+                        class: classname,
+                        'data-atlantis-highlight': index
+                    });
+
+                    wrapText(node, from, to, wrapper);
+                    wrappers.unshift(wrapper);
+                }
+
+                callback(element, wrappers);
+            });
+        });
+
+        return count;
+    }
+
+    /**
+     * Creates search-result navigator over HTML element
+     *
+     * Fires highlight:change with { term, current, total, elements }
+     * whenever the active match changes.
+     *
+     * @param {HTMLElement} container
+     * @param {Object} options Defaults for search, see atlantis.highlight
+     * @param {String} options.activeClassname Class of the active match
+     * @param {Object|Boolean} options.scroll scrollIntoView options, false to disable
+     * @returns {Object} Highlighter object
+     */
+    atlantis.highlighter = atlantis.widget('highlighter', function (container, {
+        tag = 'span',
+        classname = 'highlight',
+        activeClassname = 'active',
+        scroll = { block: 'center', inline: 'nearest' },
+        ...defaults
+    } = {}) {
+        let matches = [];
+        let index = -1;
+        let term = '';
+
+        function change() {
+            atlantis.trigger(container, 'highlight:change', {
+                term,
+                current: index + 1,
+                total: matches.length,
+                elements: matches[index] || []
+            });
+        }
+
+        function select(position) {
+            if (!matches.length) return;
+
+            if (matches[index]) {
+                matches[index].forEach(wrapper => {
+                    wrapper.classList.remove(activeClassname);
+                });
+            }
+
+            index = (position % matches.length + matches.length) % matches.length;
+
+            const wrappers = matches[index];
+
+            wrappers.forEach(wrapper => wrapper.classList.add(activeClassname));
+
+            if (scroll && wrappers[0].scrollIntoView) {
+                wrappers[0].scrollIntoView(scroll);
+            }
+
+            change();
+        }
+
+        function search(value, options = {}) {
+            atlantis.unhighlight(container, classname);
+
+            matches = [];
+            index = -1;
+            term = value;
+
+            atlantis.highlight(container, value, {
+                ...defaults,
+                ...options,
+                tag,
+                classname,
+                callback: (element, wrappers) => matches.push(wrappers)
+            });
+
+            matches.sort((a, b) => {
+                return a[0].dataset.atlantisHighlight - b[0].dataset.atlantisHighlight;
+            });
+
+            if (matches.length) select(0);
+            else change();
+
+            return matches.length;
+        }
+
+        function next() {
+            select(index + 1);
+        }
+
+        function prev() {
+            select(index - 1);
+        }
+
+        function clear() {
+            atlantis.unhighlight(container, classname);
+            matches = [];
+            index = -1;
+            term = '';
+            change();
+        }
+
+        function destroy() {
+            atlantis.unhighlight(container, classname);
+        }
+
+        return {
+            search,
+            next,
+            prev,
+            select: position => select(position - 1),
+            clear,
+            destroy,
+            get current() {
+                return index + 1;
+            },
+            get total() {
+                return matches.length;
+            },
+            get term() {
+                return term;
+            }
+        };
+    });
+
+    /**
+     * Counts HTML elements by CSS selector
+     * @param {HTMLElement} parentNode
+     * @param {String} selector
+     * @returns {Number} Number of elements
+     */
+    atlantis.count = function (parentNode, selector) {
+        return parentNode.querySelectorAll(selector).length;
+    }
+
+    /**
+     * Triggers event on HTML element
+     *
+     * @param {HTMLElement} element
+     * @param {String} event
+     * @param {Object} data
+     * @returns {CustomEvent} event
+     */
+    atlantis.trigger = function (element, event, data = {}) {
+        let customEvent;
+
+        if (window.CustomEvent && typeof window.CustomEvent === 'function') {
+            customEvent = new CustomEvent(event, { detail: data });
+        } else {
+            customEvent = document.createEvent('CustomEvent');
+            customEvent.initCustomEvent(event, true, true, data);
+        }
+
+        return element.dispatchEvent(customEvent);
+    }
+
+    /**
+     * Error rejected by form submit when validation fails
+     *
+     * @param {Object} errors { name: message }
+     */
+    class ValidationError extends Error {
+        constructor(errors = {}) {
+            super('Form is invalid');
+            this.name = 'ValidationError';
+            this.errors = errors;
+        }
+    }
+
+    atlantis.ValidationError = ValidationError;
+
+    /**
+     * Default validation messages
+     */
+    const formMessages = {
+        required: 'This field is required',
+        pattern: 'Please match the requested format',
+        min: min => `Value must be greater than or equal to ${min}`,
+        max: max => `Value must be less than or equal to ${max}`,
+        minLength: length => `Please use at least ${length} characters`,
+        maxLength: length => `Please use no more than ${length} characters`,
+        invalid: 'Invalid value'
+    };
+
+    /**
+     * Splits field name into path
+     * @param {String} name user[address][city], tags[]
+     * @returns {Array} ['user', 'address', 'city'], ['tags', '']
+     */
+    const parseFieldName = function (name) {
+        const path = [];
+
+        name.replace(/^[^[\]]+|\[([^[\]]*)\]/g, (match, key) => {
+            path.push(key === undefined ? match : key);
+        });
+
+        return path.length ? path : [name];
+    }
+
+    /**
+     * Sets value in nested object by path, '' appends to array
+     * @param {Object|Array} target
+     * @param {Array} path
+     * @param {*} value
+     */
+    const assignPath = function (target, [key, ...rest], value) {
+        if (!rest.length) {
+            if (key === '' && Array.isArray(target)) target.push(value);
+            else target[key] = value;
+            return;
+        }
+
+        let next = key === '' ? undefined : target[key];
+
+        if (!(next instanceof Object)) {
+            next = rest[0] === '' || /^\d+$/.test(rest[0]) ? [] : {};
+
+            if (key === '' && Array.isArray(target)) target.push(next);
+            else target[key] = next;
+        }
+
+        assignPath(next, rest, value);
+    }
+
+    /**
+     * Gets value from nested object by path, '' returns the array itself
+     * @param {Object} source
+     * @param {Array} path
+     * @returns {*} Value
+     */
+    const readPath = function (source, path) {
+        for (const key of path) {
+            if (key === '') break;
+            if (!(source instanceof Object)) return;
+            source = source[key];
+        }
+
+        return source;
+    }
+
+    /**
+     * Creates form helper: serialization, population, validation and submit
+     *
+     * Rules per field name: required, pattern, min, max, minLength, maxLength,
+     * validate (value, values) => true | message, may return a Promise,
+     * and messages overriding the defaults. HTML validation attributes
+     * are used as rules too.
+     *
+     * @param {HTMLFormElement} form
+     * @param {Object} options
+     * @param {Object} options.rules { name: rules }
+     * @param {Object} options.messages Default messages by rule
+     * @param {String} options.errorClass Class of error message elements
+     * @returns {Object} Form object
+     */
+    atlantis.form = atlantis.widget('form', function (form, {
+        rules = {},
+        messages = {},
+        errorClass = 'atlantis-form-error'
+    } = {}) {
+        const errors = {};
+        const noValidate = form.noValidate;
+        const prefix = form.id || form.name || `atlantis-form-${Math.random().toString(36).slice(2)}`;
+
+        messages = { ...formMessages, ...messages };
+
+        function fields(name) {
+            return Array.from(form.elements).filter(field => {
+                if (!field.name || field.disabled) return false;
+                if (['submit', 'button', 'reset', 'image'].includes(field.type)) return false;
+                if (['FIELDSET', 'OBJECT', 'OUTPUT'].includes(field.tagName)) return false;
+                return name === undefined || field.name == name;
+            });
+        }
+
+        function names() {
+            return Array.from(new Set(fields().map(field => field.name)));
+        }
+
+        function isGroup(name) {
+            return name.endsWith('[]')
+                || fields(name).filter(field => field.type == 'checkbox').length > 1;
+        }
+
+        /**
+         * Gets value of field by name, as serialized: fields sharing
+         * a name or named name[] give an array
+         * @param {String} name
+         * @returns {*} Value
+         */
+        function value(name) {
+            const group = fields(name);
+            const [field] = group;
+
+            if (!field) return;
+
+            if (field.type == 'checkbox') {
+                if (!isGroup(name)) return field.checked;
+
+                return group.filter(field => field.checked).map(field => field.value);
+            } else if (field.type == 'radio') {
+                const checked = group.find(field => field.checked);
+                return checked ? checked.value : null;
+            }
+
+            if (group.length > 1) return group.map(fieldValue);
+
+            const single = fieldValue(field);
+
+            return name.endsWith('[]') && !Array.isArray(single) ? [single] : single;
+        }
+
+        /**
+         * Gets value of single field other than checkbox and radio
+         * @param {HTMLElement} field
+         * @returns {*} Value
+         */
+        function fieldValue(field) {
+            if (field.type == 'select-multiple') {
+                return Array.from(field.selectedOptions).map(option => option.value);
+            } else if (field.type == 'number' || field.type == 'range') {
+                return field.value === '' ? null : Number(field.value);
+            } else if (field.type == 'file') {
+                return field.multiple ? Array.from(field.files) : field.files[0] || null;
+            }
+
+            return field.value;
+        }
+
+        /**
+         * Serializes form
+         * @param {String} type json | formdata
+         * @returns {Object|FormData} Nested object or FormData
+         */
+        function serialize(type = 'json') {
+            if (type == 'formdata') return new FormData(form);
+
+            const data = {};
+
+            names().forEach(name => {
+                const path = parseFieldName(name);
+                let fieldValue = value(name);
+
+                if (fields(name)[0].type == 'file') return;
+
+                if (path[path.length - 1] === '') {
+                    path.pop();
+
+                    if (!Array.isArray(fieldValue)) {
+                        fieldValue = fieldValue === null || fieldValue === undefined
+                            ? []
+                            : [fieldValue];
+                    }
+                }
+
+                assignPath(data, path, fieldValue);
+            });
+
+            return data;
+        }
+
+        /**
+         * Fills fields with values from nested object
+         * @param {Object} data
+         */
+        function fill(data = {}) {
+            fields().forEach(field => {
+                let fieldValue = readPath(data, parseFieldName(field.name));
+
+                if (fieldValue === undefined || field.type == 'file') return;
+
+                const group = fields(field.name);
+                const positional = field.type == 'select-multiple'
+                    ? group.length > 1
+                    : group.length > 1 || field.name.endsWith('[]');
+
+                if (positional && Array.isArray(fieldValue)
+                    && !['checkbox', 'radio'].includes(field.type)
+                ) {
+                    fieldValue = fieldValue[group.indexOf(field)];
+                    if (fieldValue === undefined) fieldValue = null;
+                }
+
+                if (field.type == 'checkbox') {
+                    if (Array.isArray(fieldValue)) {
+                        field.checked = fieldValue.map(String).includes(field.value);
+                    } else if (typeof fieldValue == 'boolean') {
+                        field.checked = fieldValue;
+                    } else {
+                        field.checked = String(fieldValue) == field.value;
+                    }
+                } else if (field.type == 'radio') {
+                    field.checked = String(fieldValue) == field.value;
+                } else if (field.type == 'select-multiple') {
+                    const selected = [].concat(fieldValue).map(String);
+
+                    Array.from(field.options).forEach(option => {
+                        option.selected = selected.includes(option.value);
+                    });
+                } else {
+                    field.value = fieldValue === null ? '' : fieldValue;
+                }
+            });
+        }
+
+        function message(rule, argument, fieldMessages = {}) {
+            const text = rule in fieldMessages ? fieldMessages[rule] : messages[rule];
+            return typeof text == 'function' ? text(argument) : text;
+        }
+
+        /**
+         * Validates field
+         * @param {String} name
+         * @param {Object} values Serialized form
+         * @returns {Promise} Error message or undefined
+         */
+        function check(name, values) {
+            const [field] = fields(name);
+            const rule = { ...rules[name] };
+            const fieldValue = value(name);
+
+            if (field.required) rule.required = true;
+            if (field.pattern) rule.pattern = rule.pattern || field.pattern;
+            if (field.min !== undefined && field.min !== '' && !('min' in rule)) rule.min = Number(field.min);
+            if (field.max !== undefined && field.max !== '' && !('max' in rule)) rule.max = Number(field.max);
+            if (field.minLength > 0 && !('minLength' in rule)) rule.minLength = field.minLength;
+            if (field.maxLength > 0 && !('maxLength' in rule)) rule.maxLength = field.maxLength;
+
+            const empty = fieldValue === null || fieldValue === '' || fieldValue === false
+                || (Array.isArray(fieldValue)
+                    && !fieldValue.filter(item => item !== null && item !== '').length);
+
+            if (empty) {
+                return Promise.resolve(rule.required
+                    ? message('required', true, rule.messages)
+                    : undefined);
+            }
+
+            if (rule.pattern && typeof fieldValue == 'string') {
+                const pattern = rule.pattern instanceof RegExp
+                    ? rule.pattern
+                    : new RegExp(`^(?:${rule.pattern})$`);
+
+                if (!pattern.test(fieldValue)) {
+                    return Promise.resolve(message('pattern', rule.pattern, rule.messages));
+                }
+            }
+
+            if ('min' in rule && Number(fieldValue) < rule.min) {
+                return Promise.resolve(message('min', rule.min, rule.messages));
+            }
+
+            if ('max' in rule && Number(fieldValue) > rule.max) {
+                return Promise.resolve(message('max', rule.max, rule.messages));
+            }
+
+            if ('minLength' in rule && String(fieldValue).length < rule.minLength) {
+                return Promise.resolve(message('minLength', rule.minLength, rule.messages));
+            }
+
+            if ('maxLength' in rule && String(fieldValue).length > rule.maxLength) {
+                return Promise.resolve(message('maxLength', rule.maxLength, rule.messages));
+            }
+
+            if (!rule.validate) return Promise.resolve();
+
+            return Promise.resolve(rule.validate(fieldValue, values)).then(result => {
+                if (result === true || result === undefined) return;
+                return typeof result == 'string' ? result : message('invalid', result, rule.messages);
+            });
+        }
+
+        function clearError(name) {
+            const id = `${prefix}-${name.replace(/[^\w-]/g, '-')}-error`;
+            const element = form.querySelector(`[id="${id}"]`);
+
+            if (element) element.remove();
+
+            fields(name).forEach(field => {
+                const describedBy = (field.getAttribute('aria-describedby') || '')
+                    .split(/\s+/).filter(token => token && token != id);
+
+                field.removeAttribute('aria-invalid');
+
+                if (describedBy.length) field.setAttribute('aria-describedby', describedBy.join(' '));
+                else field.removeAttribute('aria-describedby');
+            });
+
+            delete errors[name];
+        }
+
+        function showError(name, text) {
+            const group = fields(name);
+
+            clearError(name);
+
+            if (!group.length) return;
+
+            const id = `${prefix}-${name.replace(/[^\w-]/g, '-')}-error`;
+
+            group[group.length - 1].after(atlantis.create('div', {
+                class: errorClass,
+                id,
+                role: 'alert'
+            }, text));
+
+            group.forEach(field => {
+                const describedBy = field.getAttribute('aria-describedby');
+
+                field.setAttribute('aria-invalid', 'true');
+                field.setAttribute('aria-describedby', describedBy ? `${describedBy} ${id}` : id);
+            });
+
+            errors[name] = text;
+        }
+
+        /**
+         * Shows errors next to fields
+         * @param {Object} map { name: message | [message] }
+         */
+        function setErrors(map = {}) {
+            Object.entries(map).forEach(([name, text]) => {
+                if (Array.isArray(text)) text = text[0];
+
+                const field = fields().find(field => {
+                    return field.name == name || parseFieldName(field.name)
+                        .filter(Boolean).join('.') == name;
+                });
+
+                showError(field ? field.name : name, text);
+            });
+        }
+
+        function clearErrors() {
+            Object.keys(errors).forEach(clearError);
+            form.querySelectorAll(`.${errorClass}`).forEach(element => element.remove());
+        }
+
+        /**
+         * Validates all fields, or one field by name
+         * @param {String} name
+         * @returns {Promise} true if valid
+         */
+        function validate(name) {
+            const values = serialize();
+            const list = name ? [name] : names();
+
+            return Promise.all(list.map(name => check(name, values))).then(results => {
+                results.forEach((text, index) => {
+                    if (text) showError(list[index], text);
+                    else clearError(list[index]);
+                });
+
+                return results.every(text => !text);
+            });
+        }
+
+        /**
+         * Validates and sends form through atlantis.fetch
+         *
+         * Field errors of 400 and 422 responses ({ errors: { name: message } }
+         * by default) are shown next to the fields.
+         *
+         * @param {Object} options atlantis.fetch options and
+         * @param {String} options.type Body of non-GET requests: json | formdata,
+         * GET sends fields as query like a native form
+         * @param {Function} options.mapErrors (error) => { name: message }
+         * @param {Function} options.client Fetch client, atlantis.fetch by default
+         * @returns {Promise} Parsed response body
+         */
+        function submit({
+            type = 'json',
+            mapErrors = error => error.data && error.data.errors,
+            client = atlantis.fetch,
+            ...options
+        } = {}) {
+            return validate().then(valid => {
+                if (!valid) throw new ValidationError({ ...errors });
+
+                const method = (options.method || form.getAttribute('method') || 'POST')
+                    .toUpperCase();
+                const request = {
+                    url: form.getAttribute('action') || location.href,
+                    ...options,
+                    method
+                };
+
+                if (method == 'GET') {
+                    request.query = new URLSearchParams();
+
+                    serialize('formdata').forEach((value, key) => {
+                        request.query.append(key, value instanceof File ? value.name : value);
+                    });
+                } else {
+                    request.body = serialize(type);
+                }
+
+                return client(request).catch(error => {
+                    if (error instanceof FetchError && [400, 422].includes(error.status)) {
+                        setErrors(mapErrors(error) || {});
+                    }
+
+                    throw error;
+                });
+            });
+        }
+
+        function change(event) {
+            const name = event.target.name;
+            if (name in errors) validate(name);
+        }
+
+        function reset() {
+            form.reset();
+            clearErrors();
+        }
+
+        function destroy() {
+            clearErrors();
+            atlantis.off(form, '.form');
+            form.noValidate = noValidate;
+        }
+
+        form.noValidate = true;
+
+        atlantis.on(form, 'change.form input.form', change);
+
+        return {
+            serialize,
+            fill,
+            reset,
+            validate,
+            submit,
+            setErrors,
+            clearErrors,
+            destroy,
+            get errors() {
+                return { ...errors };
+            }
+        };
+    });
+
+    /**
+     * Open modals, topmost last
+     */
+    const modalStack = [];
+
+    const focusableSelector = [
+        'a[href]', 'area[href]', 'button:not([disabled])', 'iframe',
+        'input:not([disabled]):not([type="hidden"])', 'select:not([disabled])',
+        'textarea:not([disabled])', '[contenteditable]', '[tabindex]:not([tabindex="-1"])'
+    ].join(', ');
+
+    let scrollLock;
+
+    /**
+     * Disables page scroll, keeping the scrollbar gap
+     */
+    const lockScroll = function () {
+        if (scrollLock) return;
+
+        const gap = window.innerWidth - document.documentElement.clientWidth;
+
+        scrollLock = {
+            overflow: document.body.style.overflow,
+            paddingRight: document.body.style.paddingRight
+        };
+
+        document.body.style.overflow = 'hidden';
+
+        if (gap > 0) {
+            const padding = parseFloat(getComputedStyle(document.body).paddingRight) || 0;
+            document.body.style.paddingRight = `${padding + gap}px`;
+        }
+    }
+
+    const unlockScroll = function () {
+        if (!scrollLock) return;
+
+        document.body.style.overflow = scrollLock.overflow;
+        document.body.style.paddingRight = scrollLock.paddingRight;
+        scrollLock = undefined;
+    }
+
+    /**
+     * Opens modal dialog
+     *
+     * Focus is trapped inside the topmost dialog and returned on close,
+     * page scroll is locked while any modal is open.
+     *
+     * @param {Object} options
+     * @param {Node|String|Array} options.content Body content
+     * @param {Node|String|Array} options.footer Footer content
+     * @param {String} options.title Labels the dialog
+     * @param {String} options.label Accessible name when there is no title
+     * @param {Boolean} options.closable Close button, Escape and backdrop click
+     * @param {String} options.className Extra class of the dialog
+     * @param {String} options.transition Of the backdrop, see atlantis.show
+     * @param {Function} options.close Callback (result)
+     * @returns {Object} Modal object
+     */
+    atlantis.modal = function ({
+        content = '',
+        footer,
+        title = '',
+        label,
+        closable = true,
+        className = '',
+        transition,
+        close: callback
+    } = {}) {
+        const id = `atlantis-modal-${Math.random().toString(36).slice(2)}`;
+        const opener = document.activeElement;
+        let resolve;
+        let isOpen = true;
+
+        const closed = new Promise(done => resolve = done);
+
+        const header = atlantis.create('div', { class: 'atlantis-modal-header' },
+            title ? atlantis.create('h2', { class: 'atlantis-modal-title', id: `${id}-title` }, title) : '',
+            closable ? atlantis.create('button', {
+                type: 'button',
+                class: 'atlantis-modal-close',
+                aria: { label: 'Close' },
+                onclick: () => close()
+            }, '×') : ''
+        );
+        const body = atlantis.create('div', { class: 'atlantis-modal-body' }, content);
+        const dialog = atlantis.create('div', {
+            class: ['atlantis-modal', className],
+            role: 'dialog',
+            tabindex: '-1',
+            aria: title
+                ? { modal: 'true', labelledby: `${id}-title` }
+                : { modal: 'true', ...(label ? { label } : {}) }
+        },
+            header,
+            body,
+            footer ? atlantis.create('div', { class: 'atlantis-modal-footer' }, footer) : ''
+        );
+        const backdrop = atlantis.create('div', {
+            class: 'atlantis-modal-backdrop',
+            style: {
+                position: 'fixed',
+                inset: '0',
+                'z-index': 1000 + modalStack.length * 10
+            }
+        }, dialog);
+
+        function isTop() {
+            return modalStack[modalStack.length - 1] === modal;
+        }
+
+        function focusable() {
+            return Array.from(dialog.querySelectorAll(focusableSelector))
+                .filter(element => atlantis.isVisible(element));
+        }
+
+        function keydown(event) {
+            if (!isTop()) return;
+
+            if (event.key == 'Escape' && closable) {
+                event.preventDefault();
+                close();
+            } else if (event.key == 'Tab') {
+                const elements = focusable();
+
+                if (!elements.length) {
+                    event.preventDefault();
+                    dialog.focus();
+                    return;
+                }
+
+                const first = elements[0];
+                const last = elements[elements.length - 1];
+
+                if (event.shiftKey && (document.activeElement == first || document.activeElement == dialog)) {
+                    event.preventDefault();
+                    last.focus();
+                } else if (!event.shiftKey && document.activeElement == last) {
+                    event.preventDefault();
+                    first.focus();
+                }
+            }
+        }
+
+        function focusin(event) {
+            if (isTop() && !dialog.contains(event.target)) {
+                (focusable()[0] || dialog).focus();
+            }
+        }
+
+        function click(event) {
+            if (event.target == backdrop && closable) close();
+        }
+
+        /**
+         * Closes modal
+         * @param {*} result Resolves the closed promise
+         */
+        function close(result) {
+            if (!isOpen) return;
+
+            isOpen = false;
+            modalStack.splice(modalStack.indexOf(modal), 1);
+
+            atlantis.off(document, 'keydown.modal', keydown);
+            atlantis.off(document, 'focusin.modal', focusin);
+            atlantis.off(backdrop, '.modal');
+
+            if (modalStack.length) {
+                modalStack[modalStack.length - 1].element.classList.remove('atlantis-modal-stacked');
+            } else {
+                unlockScroll();
+            }
+
+            atlantis.hide(backdrop, { transition }).then(() => backdrop.remove());
+
+            if (opener && opener.isConnected && opener.focus) opener.focus();
+
+            if (callback) callback(result);
+            resolve(result);
+        }
+
+        if (modalStack.length) {
+            modalStack[modalStack.length - 1].element.classList.add('atlantis-modal-stacked');
+        }
+
+        const modal = {
+            element: backdrop,
+            dialog,
+            body,
+            closed,
+            close,
+            destroy: () => close(),
+            get isOpen() {
+                return isOpen;
+            }
+        };
+
+        modalStack.push(modal);
+        lockScroll();
+
+        atlantis.show(backdrop, { parent: document.body, transition });
+
+        atlantis.on(document, 'keydown.modal', keydown);
+        atlantis.on(document, 'focusin.modal', focusin);
+        atlantis.on(backdrop, 'click.modal', click);
+        atlantis.onRemove(backdrop, () => close());
+
+        (dialog.querySelector('[autofocus]') || focusable().find(element => {
+            return !element.classList.contains('atlantis-modal-close');
+        }) || dialog).focus();
+
+        return modal;
+    }
+
+    /**
+     * Asks for confirmation
+     *
+     * @param {String|Node} message
+     * @param {Object} options atlantis.modal options and
+     * @param {String} options.ok OK button text
+     * @param {String} options.cancel Cancel button text
+     * @returns {Promise} true if confirmed
+     */
+    atlantis.confirm = function (message, { ok = 'OK', cancel = 'Cancel', ...options } = {}) {
+        const modal = atlantis.modal({
+            label: typeof message == 'string' ? message : undefined,
+            ...options,
+            className: ['atlantis-modal-confirm', options.className].filter(Boolean).join(' '),
+            content: atlantis.create('p', { class: 'atlantis-modal-message' }, message),
+            footer: [
+                atlantis.create('button', {
+                    type: 'button',
+                    class: 'atlantis-modal-cancel',
+                    onclick: () => modal.close(false)
+                }, cancel),
+                atlantis.create('button', {
+                    type: 'button',
+                    class: 'atlantis-modal-ok',
+                    autofocus: true,
+                    onclick: () => modal.close(true)
+                }, ok)
+            ]
+        });
+
+        return modal.closed.then(result => result === true);
+    }
+
+    /**
+     * Asks for a value
+     *
+     * @param {String|Node} message
+     * @param {Object} options atlantis.modal options and
+     * @param {String} options.value Initial value
+     * @param {String} options.type Input type
+     * @param {String} options.ok OK button text
+     * @param {String} options.cancel Cancel button text
+     * @returns {Promise} Value, or null if cancelled
+     */
+    atlantis.prompt = function (message, {
+        value = '',
+        type = 'text',
+        ok = 'OK',
+        cancel = 'Cancel',
+        ...options
+    } = {}) {
+        const id = `atlantis-prompt-${Math.random().toString(36).slice(2)}`;
+        const input = atlantis.create('input', {
+            class: 'atlantis-modal-input',
+            id,
+            type,
+            value,
+            autofocus: true
+        });
+        let modal;
+
+        const form = atlantis.create('form', {
+            class: 'atlantis-modal-form',
+            onsubmit: event => {
+                event.preventDefault();
+                modal.close(input.value);
+            }
+        },
+            atlantis.create('label', { class: 'atlantis-modal-message', for: id }, message),
+            input
+        );
+
+        modal = atlantis.modal({
+            label: typeof message == 'string' ? message : undefined,
+            ...options,
+            className: ['atlantis-modal-prompt', options.className].filter(Boolean).join(' '),
+            content: form,
+            footer: [
+                atlantis.create('button', {
+                    type: 'button',
+                    class: 'atlantis-modal-cancel',
+                    onclick: () => modal.close(null)
+                }, cancel),
+                atlantis.create('button', {
+                    type: 'button',
+                    class: 'atlantis-modal-ok',
+                    onclick: () => modal.close(input.value)
+                }, ok)
+            ]
+        });
+
+        input.select();
+
+        return modal.closed.then(result => typeof result == 'string' ? result : null);
+    }
+
+    /**
+     * Compiles route path into RegExp and parameter names
+     * @param {String} path /users/:id, /files/*, /posts/:slug?
+     * @returns {Object} { regex, keys }
+     */
+    const compilePath = function (path) {
+        const keys = [];
+        const pattern = path.replace(/\/+$/, '').split('/').map(segment => {
+            if (segment == '*') {
+                keys.push('pathMatch');
+                return '(?:/(.*))?';
+            }
+
+            const param = segment.match(/^:(\w+)(\?)?$/);
+
+            if (!param) return segment ? `/${segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` : '';
+
+            keys.push(param[1]);
+
+            return param[2] ? '(?:/([^/]+))?' : '/([^/]+)';
+        }).join('');
+
+        return { regex: new RegExp(`^${pattern}/?$`, 'i'), keys };
+    }
+
+    /**
+     * Joins parent and child route paths
+     * @param {String} parent
+     * @param {String} path
+     * @returns {String} Path
+     */
+    const joinPath = function (parent, path = '') {
+        if (path.startsWith('/')) return path;
+        return `${parent.replace(/\/+$/, '')}/${path}`.replace(/\/+$/, '') || '/';
+    }
+
+    /**
+     * Parses query string, repeated keys become arrays
+     * @param {String} search
+     * @returns {Object} Query
+     */
+    const parseQuery = function (search = '') {
+        const query = {};
+
+        new URLSearchParams(search).forEach((value, key) => {
+            if (!(key in query)) query[key] = value;
+            else query[key] = [].concat(query[key], value);
+        });
+
+        return query;
+    }
+
+    /**
+     * Creates client-side router
+     *
+     * Routes are { path, name, handler, beforeEnter, redirect, children }.
+     * Guards and beforeEach get (to, from) and may return (or resolve)
+     * false to cancel or a location to redirect. Handlers of all matched
+     * routes, parent first, get (to, from). After each navigation
+     * router:change is fired on root with { to, from }, failed link, history
+     * and initial navigations fire router:error with { error }.
+     *
+     * @param {Object} options
+     * @param {String} options.mode history | hash
+     * @param {String} options.base Path prefix in history mode
+     * @param {Array} options.routes
+     * @param {Function} options.beforeEach Guard of every navigation
+     * @param {HTMLElement|Document} options.root Scope of a[data-link] clicks and events
+     * @returns {Object} Router object
+     */
+    atlantis.router = function ({
+        mode = 'history',
+        base = '',
+        routes = [],
+        beforeEach,
+        root = document
+    } = {}) {
+        const records = [];
+        let current;
+        let pending = 0;
+
+        base = base.replace(/\/+$/, '');
+
+        /**
+         * Flattens nested routes into records with full paths,
+         * children before their parent so a default '' child wins
+         */
+        (function flatten(routes, parent = { path: '/', matched: [] }) {
+            routes.forEach(route => {
+                const path = joinPath(parent.path, route.path);
+                const record = {
+                    ...route,
+                    path,
+                    matched: [...parent.matched, route],
+                    ...compilePath(path)
+                };
+
+                if (route.children) flatten(route.children, record);
+
+                records.push(record);
+            });
+        }(routes));
+
+        /**
+         * Builds path of named route
+         * @param {String} name
+         * @param {Object} params
+         * @returns {String} Path
+         */
+        function pathByName(name, params = {}) {
+            const record = records.find(record => record.name == name);
+
+            if (!record) throw new Error(`Route "${name}" not found`);
+
+            return record.path.replace(/\/(:(\w+)\??|\*)/g, (match, segment, key) => {
+                const value = params[key || 'pathMatch'];
+                return value === undefined || value === null ? '' : `/${encodeURIComponent(value)}`;
+            }) || '/';
+        }
+
+        /**
+         * Resolves location
+         * @param {String|Object} location Path or { path | name, params, query, hash }
+         * @returns {Object} Route { path, fullPath, params, query, hash, name, matched }
+         */
+        function resolve(location) {
+            if (typeof location == 'string') {
+                const url = new URL(location, 'http://localhost');
+
+                location = {
+                    path: url.pathname,
+                    query: parseQuery(url.search),
+                    hash: url.hash
+                };
+            }
+
+            const path = location.name
+                ? pathByName(location.name, location.params)
+                : location.path || '/';
+            const query = { ...location.query };
+            const hash = location.hash || '';
+            const search = new URLSearchParams();
+
+            Object.entries(query).forEach(([key, value]) => {
+                [].concat(value).forEach(value => search.append(key, value));
+            });
+
+            const route = {
+                path,
+                fullPath: `${path}${search.toString() ? `?${search}` : ''}${hash}`,
+                params: {},
+                query,
+                hash,
+                matched: []
+            };
+
+            for (const record of records) {
+                const match = path.match(record.regex);
+
+                if (!match) continue;
+
+                record.keys.forEach((key, index) => {
+                    if (match[index + 1] !== undefined) {
+                        route.params[key] = decodeURIComponent(match[index + 1]);
+                    }
+                });
+
+                route.name = record.name;
+                route.matched = record.matched;
+                route.redirect = record.redirect;
+                break;
+            }
+
+            return route;
+        }
+
+        /**
+         * @param {String|Object} location
+         * @returns {String} URL of location
+         */
+        function href(location) {
+            const { fullPath } = resolve(location);
+
+            return mode == 'hash'
+                ? `${window.location.pathname}${window.location.search}#${fullPath}`
+                : `${base}${fullPath}`;
+        }
+
+        function read() {
+            if (mode == 'hash') return window.location.hash.slice(1) || '/';
+
+            let path = window.location.pathname;
+
+            if (base && path.startsWith(base)) path = path.slice(base.length) || '/';
+
+            return `${path}${window.location.search}${window.location.hash}`;
+        }
+
+        function guard(fn, to, from) {
+            return fn ? Promise.resolve(fn(to, from)) : Promise.resolve();
+        }
+
+        /**
+         * Navigates to location
+         * @param {String|Object} location
+         * @param {Object} options
+         * @param {Boolean} options.replace Replace history entry
+         * @returns {Promise} Route, or false if cancelled
+         */
+        function navigate(location, { replace = false, pop = false, redirects = 0 } = {}) {
+            const from = current;
+            const id = ++pending;
+
+            return Promise.resolve().then(() => {
+                const to = resolve(location);
+
+                if (to.redirect) {
+                    if (redirects > 10) throw new Error('Too many redirects');
+
+                    const redirect = typeof to.redirect == 'function' ? to.redirect(to) : to.redirect;
+
+                    return navigate(redirect, { replace: replace || pop, redirects: redirects + 1 });
+                }
+
+                const guards = [beforeEach, ...to.matched.map(route => route.beforeEnter)]
+                    .filter(Boolean);
+
+                return guards.reduce((chain, fn) => chain.then(result => {
+                    return result === undefined || result === true ? guard(fn, to, from) : result;
+                }), Promise.resolve()).then(result => {
+                    if (id != pending) return false;
+
+                    if (result === false) {
+                        if (pop && from) write(from, true);
+                        return false;
+                    }
+
+                    if (result !== undefined && result !== true) {
+                        if (redirects > 10) throw new Error('Too many redirects');
+                        return navigate(result, { replace: replace || pop, redirects: redirects + 1 });
+                    }
+
+                    if (!pop) write(to, replace);
+
+                    current = to;
+
+                    to.matched.forEach(route => {
+                        if (route.handler) route.handler(to, from);
+                    });
+
+                    atlantis.trigger(root, 'router:change', { to, from });
+
+                    return to;
+                });
+            });
+        }
+
+        function write(route, replace) {
+            if (replace) history.replaceState(null, '', href(route.fullPath));
+            else history.pushState(null, '', href(route.fullPath));
+        }
+
+        function pop() {
+            const location = read();
+
+            if (current && location.split('#')[0] == current.fullPath.split('#')[0]) return;
+
+            navigate(location, { pop: true }).catch(fail);
+        }
+
+        /**
+         * Fires router:error with { error } for navigations nobody awaits
+         * @param {Error} error
+         * @returns {Boolean} false
+         */
+        function fail(error) {
+            atlantis.trigger(root, 'router:error', { error });
+            return false;
+        }
+
+        function click(event, link) {
+            if (event.defaultPrevented || event.button !== 0) return;
+            if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+            if (link.target && link.target != '_self') return;
+            if (link.hasAttribute('download')) return;
+
+            let location = link.getAttribute('href');
+
+            if (location === null) return;
+
+            if (location.startsWith('#')) {
+                if (mode != 'hash') return;
+                location = location.slice(1) || '/';
+            } else {
+                const url = new URL(link.href, window.location.href);
+
+                if (url.origin != window.location.origin) return;
+
+                location = `${url.pathname}${url.search}${url.hash}`;
+
+                if (base) {
+                    if (!location.startsWith(base)) return;
+                    location = location.slice(base.length) || '/';
+                }
+            }
+
+            event.preventDefault();
+            navigate(location, { replace: link.hasAttribute('data-replace') }).catch(fail);
+        }
+
+        function destroy() {
+            atlantis.off(window, '.router');
+            atlantis.off(root, '.router');
+        }
+
+        atlantis.on(window, mode == 'hash' ? 'hashchange.router' : 'popstate.router', pop);
+        atlantis.on(root, 'click.router', 'a[data-link]', click);
+
+        const ready = navigate(read(), { replace: true }).catch(fail);
+
+        return {
+            navigate: location => navigate(location),
+            replace: location => navigate(location, { replace: true }),
+            back: () => history.back(),
+            resolve,
+            href,
+            ready,
+            destroy,
+            get current() {
+                return current;
+            }
+        };
+    }
+
+    /**
+     * Renders only visible rows of a long list
+     *
+     * Rows are absolutely positioned wrappers recycled while scrolling,
+     * unused ones stay hidden in the container. Without itemHeight rows
+     * are measured after render and estimateHeight is used until then.
+     *
+     * @param {HTMLElement} container Scrollable element
+     * @param {Object} options
+     * @param {Array} options.items
+     * @param {Number} options.itemHeight Fixed row height in px
+     * @param {Number} options.estimateHeight Height of rows not measured yet
+     * @param {Number} options.overscan Rows rendered beyond each edge
+     * @param {Function} options.render (item, index, row) => Node | String,
+     * may fill the recycled row instead of returning content
+     * @returns {Object} Virtual list object
+     */
+    atlantis.virtualList = atlantis.widget('virtualList', function (container, {
+        items = [],
+        itemHeight,
+        estimateHeight = 40,
+        overscan = 5,
+        render = item => String(item)
+    } = {}) {
+        const rows = new Map();
+        const pool = [];
+        const overflowY = container.style.overflowY;
+        const spacer = atlantis.create('div', {
+            class: 'atlantis-virtual-list',
+            role: 'list',
+            style: { position: 'relative' }
+        });
+
+        let heights = [];
+        let offsets = [];
+        let dirty = true;
+        let frame;
+        let resizeObserver;
+
+        function heightOf(index) {
+            return itemHeight || heights[index] || estimateHeight;
+        }
+
+        function measureOffsets() {
+            offsets = new Array(items.length + 1);
+            offsets[0] = 0;
+
+            for (let index = 0; index < items.length; index++) {
+                offsets[index + 1] = offsets[index] + heightOf(index);
+            }
+
+            spacer.style.height = `${offsets[items.length]}px`;
+            dirty = false;
+        }
+
+        /**
+         * @param {Number} top Offset in px
+         * @returns {Number} Index of row at offset
+         */
+        function indexAt(top) {
+            let low = 0;
+            let high = items.length - 1;
+
+            while (low < high) {
+                const middle = Math.ceil((low + high) / 2);
+
+                if (offsets[middle] <= top) low = middle;
+                else high = middle - 1;
+            }
+
+            return low;
+        }
+
+        function release(index) {
+            const row = rows.get(index);
+
+            row.hidden = true;
+            row.removeAttribute('data-index');
+            rows.delete(index);
+            pool.push(row);
+        }
+
+        function fill(row, index) {
+            const content = render(items[index], index, row);
+
+            if (content !== undefined) row.replaceChildren(content);
+
+            row.dataset.index = index;
+            row.setAttribute('aria-posinset', index + 1);
+            row.setAttribute('aria-setsize', items.length);
+            row.hidden = false;
+        }
+
+        /**
+         * Renders rows of the visible range
+         */
+        function refresh() {
+            cancelAnimationFrame(frame);
+            frame = undefined;
+
+            if (dirty) measureOffsets();
+
+            if (!items.length) {
+                Array.from(rows.keys()).forEach(release);
+                return;
+            }
+
+            const top = container.scrollTop;
+            const start = Math.max(0, indexAt(top) - overscan);
+            const end = Math.min(items.length - 1, indexAt(top + container.clientHeight) + overscan);
+
+            rows.forEach((row, index) => {
+                if (index < start || index > end) release(index);
+            });
+
+            for (let index = start; index <= end; index++) {
+                if (rows.has(index)) continue;
+
+                let row = pool.pop();
+
+                if (!row) {
+                    row = atlantis.create('div', {
+                        class: 'atlantis-virtual-list-item',
+                        role: 'listitem',
+                        style: { position: 'absolute', left: '0', right: '0' }
+                    });
+                    spacer.append(row);
+                }
+
+                fill(row, index);
+                rows.set(index, row);
+            }
+
+            if (!itemHeight) {
+                rows.forEach((row, index) => {
+                    const height = row.offsetHeight;
+
+                    if (height && height != heights[index]) {
+                        heights[index] = height;
+                        dirty = true;
+                    }
+                });
+
+                if (dirty) measureOffsets();
+            }
+
+            rows.forEach((row, index) => row.style.top = `${offsets[index]}px`);
+        }
+
+        function schedule() {
+            if (frame === undefined) frame = requestAnimationFrame(refresh);
+        }
+
+        /**
+         * Scrolls row into view
+         * @param {Number} index
+         * @param {Object} options
+         * @param {String} options.align start | center | end | auto
+         * @param {String} options.behavior auto | smooth
+         */
+        function scrollToIndex(index, { align = 'start', behavior = 'auto' } = {}) {
+            if (dirty) measureOffsets();
+
+            index = Math.max(0, Math.min(items.length - 1, index));
+
+            const start = offsets[index];
+            const end = start + heightOf(index);
+            const viewport = container.clientHeight;
+            let top = start;
+
+            if (align == 'center') {
+                top = start - (viewport - heightOf(index)) / 2;
+            } else if (align == 'end') {
+                top = end - viewport;
+            } else if (align == 'auto') {
+                if (start >= container.scrollTop && end <= container.scrollTop + viewport) return;
+                if (end > container.scrollTop + viewport) top = end - viewport;
+            }
+
+            top = Math.max(0, top);
+
+            if (behavior == 'smooth' && container.scrollTo) {
+                container.scrollTo({ top, behavior });
+            } else {
+                container.scrollTop = top;
+                refresh();
+            }
+        }
+
+        /**
+         * Replaces items and rerenders visible rows
+         * @param {Array} newItems
+         */
+        function update(newItems = items) {
+            items = newItems;
+            heights = [];
+            dirty = true;
+            Array.from(rows.keys()).forEach(release);
+            refresh();
+        }
+
+        function destroy() {
+            cancelAnimationFrame(frame);
+            atlantis.off(container, '.virtualList');
+            if (resizeObserver) resizeObserver.disconnect();
+            spacer.remove();
+            container.style.overflowY = overflowY;
+        }
+
+        if (!['auto', 'scroll'].includes(getComputedStyle(container).overflowY)) {
+            container.style.overflowY = 'auto';
+        }
+
+        container.append(spacer);
+
+        atlantis.on(container, 'scroll.virtualList', schedule, { passive: true });
+
+        if (window.ResizeObserver) {
+            resizeObserver = new ResizeObserver(() => schedule());
+            resizeObserver.observe(container);
+        }
+
+        refresh();
+
+        return {
+            update,
+            refresh,
+            scrollToIndex,
+            destroy,
+            get items() {
+                return items;
+            }
+        };
+    });
+
+    /**
+     * Creates reactive state store
+     *
+     * Changes are batched and subscribers are notified on a microtask.
+     * Bindings unsubscribe when their element is removed from the document.
+     *
+     * @param {Object} initial Initial state
+     * @returns {Object} Store
+     */
+    atlantis.store = function (initial = {}) {
+        const state = { ...initial };
+        const computed = new Map();
+        const listeners = new Set();
+        let changed = new Set();
+        let previous = {};
+        let scheduled = false;
+
+        /**
+         * Gets state value or state copy
+         * @param {String} key
+         * @returns {*} Value
+         */
+        function get(key) {
+            return key === undefined ? { ...state } : state[key];
+        }
+
+        /**
+         * Sets state values
+         * @param {String|Object|Function} key Key, patch or (state) => patch
+         * @param {*} value
+         */
+        function set(key, value) {
+            let patch = key;
+
+            if (typeof key == 'function') patch = key(get());
+            else if (typeof key == 'string') patch = { [key]: value };
+
+            Object.entries(patch || {}).forEach(([name, value]) => {
+                if (computed.has(name)) return;
+                if (Object.is(state[name], value)) return;
+                if (!(name in previous)) previous[name] = state[name];
+
+                state[name] = value;
+                changed.add(name);
+            });
+
+            if (scheduled || !changed.size) return;
+
+            scheduled = true;
+            queueMicrotask(flush);
+        }
+
+        function flush() {
+            scheduled = false;
+
+            computed.forEach(({ fn, deps }, name) => {
+                if (deps && !deps.some(dep => changed.has(dep))) return;
+
+                const value = fn(get());
+
+                if (Object.is(state[name], value)) return;
+                if (!(name in previous)) previous[name] = state[name];
+
+                state[name] = value;
+                changed.add(name);
+            });
+
+            const keys = Array.from(changed)
+                .filter(name => !Object.is(state[name], previous[name]));
+            const old = previous;
+
+            changed = new Set();
+            previous = {};
+
+            if (!keys.length) return;
+
+            listeners.forEach(({ key, handler }) => {
+                if (key === undefined) return handler(get(), keys);
+                if (keys.includes(key)) handler(state[key], old[key]);
+            });
+        }
+
+        /**
+         * Subscribes to changes
+         * @param {String} key Optional key, handler gets (value, oldValue)
+         * @param {Function} handler Without key gets (state, changedKeys)
+         * @returns {Function} Unsubscribes
+         */
+        function subscribe(key, handler) {
+            if (typeof key == 'function') {
+                handler = key;
+                key = undefined;
+            }
+
+            const listener = { key, handler };
+
+            listeners.add(listener);
+
+            return function () {
+                listeners.delete(listener);
+            }
+        }
+
+        /**
+         * Defines computed value
+         * @param {String} name
+         * @param {Array} deps Keys it depends on, omit to recompute on every change
+         * @param {Function} fn (state) => value
+         * @returns {Object} Store
+         */
+        function compute(name, deps, fn) {
+            if (typeof deps == 'function') {
+                fn = deps;
+                deps = undefined;
+            }
+
+            computed.set(name, { fn, deps });
+            state[name] = fn(get());
+
+            return store;
+        }
+
+        /**
+         * Renders value into HTML Element now and on every change
+         * @param {HTMLElement} element
+         * @param {String|Function} key Key or (state) => value
+         * @param {Function} update (value)
+         * @returns {Function} Unbinds
+         */
+        function bind(element, key, update) {
+            const read = typeof key == 'function' ? key : state => state[key];
+            const render = () => update(read(get()));
+
+            render();
+
+            const unsubscribe = typeof key == 'function'
+                ? subscribe(render)
+                : subscribe(key, render);
+
+            const cancel = atlantis.onRemove(element, unsubscribe);
+
+            return function () {
+                cancel();
+                unsubscribe();
+            }
+        }
+
+        function bindText(element, key) {
+            return bind(element, key, value => {
+                element.textContent = value === undefined || value === null ? '' : value;
+            });
+        }
+
+        function bindAttr(element, attribute, key) {
+            return bind(element, key, value => {
+                if (value === false || value === null || value === undefined) {
+                    element.removeAttribute(attribute);
+                } else {
+                    element.setAttribute(attribute, value === true ? '' : value);
+                }
+            });
+        }
+
+        function bindClass(element, className, key) {
+            return bind(element, key, value => {
+                element.classList.toggle(className, Boolean(value));
+            });
+        }
+
+        /**
+         * Two-way binds input, checkbox, radio or select value
+         * @param {HTMLElement} element
+         * @param {String} key
+         * @returns {Function} Unbinds
+         */
+        function bindValue(element, key) {
+            const type = element.type;
+            const event = ['checkbox', 'radio', 'select-one', 'select-multiple']
+                .includes(type) ? 'change' : 'input';
+
+            const handler = function () {
+                if (type == 'checkbox') return set(key, element.checked);
+                if (type == 'radio') return element.checked && set(key, element.value);
+
+                if (type == 'select-multiple') {
+                    return set(key, Array.from(element.selectedOptions)
+                        .map(option => option.value));
+                }
+
+                if (type == 'number' || type == 'range') {
+                    return set(key, isNaN(element.valueAsNumber) ? null : element.valueAsNumber);
+                }
+
+                set(key, element.value);
+            }
+
+            const unbind = bind(element, key, value => {
+                if (type == 'checkbox') {
+                    element.checked = Boolean(value);
+                } else if (type == 'radio') {
+                    element.checked = element.value == value;
+                } else if (type == 'select-multiple') {
+                    Array.from(element.options).forEach(option => {
+                        option.selected = (value || []).includes(option.value);
+                    });
+                } else if (element.value != (value === undefined || value === null ? '' : value)) {
+                    element.value = value === undefined || value === null ? '' : value;
+                }
+            });
+
+            atlantis.on(element, `${event}.store`, handler);
+
+            return function () {
+                unbind();
+                atlantis.off(element, event, handler);
+            }
+        }
+
+        const store = {
+            get,
+            set,
+            subscribe,
+            computed: compute,
+            bindText,
+            bindAttr,
+            bindClass,
+            bindValue
+        };
+
+        return store;
+    }
+
+    if (document.readyState == 'loading') {
+        atlantis.on(document, 'DOMContentLoaded', () => atlantis.init(), { once: true });
+    } else {
+        queueMicrotask(() => atlantis.init());
     }
 
     return atlantis;